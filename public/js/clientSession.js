@@ -1,27 +1,57 @@
+import {pushID} from './pushID.js';
+
 /**
  * @fileoverview A client-side storage handler for the sessionManager.
- * @version 1.0.0
+ * @version 2.0.0
  *
  * This library provides a storage handler specifically for browser environments.
  * It implements the required `get`, `set`, and `clear` methods that the
  * `sessionManager` needs to persist session identifiers.
  *
  * It features a robust storage strategy:
- * 1. It prioritizes using browser cookies for their ability to be sent with
- * every HTTP request, making them ideal for server-side integration.
- * 2. If cookies are disabled or unavailable (e.g., in a private Browse
- * session or due to user settings), it seamlessly falls back to using
- * `localStorage`. This ensures that session tracking continues to work
- * reliably for as many users as possible.
+ * 1. Values are kept in a configurable chain of backends: cookies, `localStorage`,
+ * `sessionStorage`, IndexedDB, memory, or your own. Cookies are sent with every
+ * HTTP request, which makes them ideal for server-side integration.
+ * 2. Every write goes to all backends, and reads take the first value found in
+ * priority order. A backend that is unavailable (e.g., cookies disabled) is skipped.
+ * 3. Browsers and cookie cleaners often wipe one backend but not the others (e.g.,
+ * Safari's ITP expires script-written cookies). On read, the oldest valid cID in any
+ * backend wins and is restored to every backend that lost it, so returning visitors
+ * keep their client ID.
+ * 4. When a cID is replaced (`rotateClient`) or cleared (`clear`), the creation time of
+ * the retired cID is recorded in every backend. Copies of it, or of any older cID, that
+ * survive in a backend (such as another tab's `sessionStorage`, or a backend whose write
+ * failed) are then removed on read instead of being restored.
  */
 
 /**
  * @typedef {object} ClientStorageConfig
- * @property {string} [cookiePrefix='__psh_'] - A prefix for all cookie and localStorage keys to avoid naming collisions.
+ * @property {string} [cookiePrefix='__pshC_'] - A prefix for all cookie and storage keys to avoid naming collisions.
  * @property {object} [cookieOptions] - Default options for setting cookies.
  * @property {string} [cookieOptions.path='/'] - The path for the cookie.
- * @property {boolean} [cookieOptions.secure=false] - The secure flag for the cookie. Should be true on HTTPS sites.
+ * @property {boolean} [cookieOptions.secure=true] - The secure flag for the cookie. Should be true on HTTPS sites.
  * @property {string} [cookieOptions.sameSite='Lax'] - The SameSite attribute for the cookie.
+ * @property {import('./pushID.js').SigningKey} [signingKey] - If set, the sessionManager signs every value it
+ * stores through this handler and rejects values whose signature does not verify. In the browser, the key is
+ * visible to everyone, so this only detects corrupted values; never use a server secret here.
+ * @property {Array<string|StorageBackend>} [backends=['cookie', 'localStorage']] - The backends in priority order.
+ * Built-in backends are 'cookie', 'localStorage', 'sessionStorage', 'indexedDB' and 'memory'. With 'indexedDB'
+ * or an asynchronous custom backend, reads and writes return Promises.
+ * @property {string} [indexedDBName='__psh_session'] - The IndexedDB database name for the 'indexedDB' backend.
+ */
+
+/**
+ * @typedef {object} StorageBackend
+ * @property {string} name - The name of the backend.
+ * @property {function(string): (StoredValue|string|null|Promise<StoredValue|string|null>)} get - Reads an item.
+ * @property {function(string, string, CookieOptions): (void|Promise<void>)} set - Writes an item.
+ * @property {function(string): (void|Promise<void>)} remove - Removes an item.
+ */
+
+/**
+ * @typedef {object} StoredValue
+ * @property {string} value - The stored value.
+ * @property {number|null} expires - The expiry in milliseconds since the UNIX epoch, or null if it never expires.
  */
 
 /**
@@ -32,11 +62,137 @@
  * @property {string} [sameSite] - The SameSite attribute for the cookie.
  */
 
+/**
+ * The keys managed by the sessionManager, removed by `clear`.
+ * @type {string[]}
+ */
+const SESSION_KEYS = ['cID', 'sID', 'eID', 'seqID', 'src', 'uID', 'state'];
+
+/**
+ * The key holding the creation time of the newest retired cID. It is not removed by `clear`, so
+ * that a cleared cID cannot be restored from a backend the clear did not reach.
+ * @type {string}
+ */
+const RETIRED_KEY = 'retired';
+
+/**
+ * How long a restored cID is kept when the backend it came from has no expiry. Matches the
+ * lifetime the sessionManager gives the cID.
+ * @type {number}
+ */
+const CID_LIFETIME = 2 * 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Returns true if the value is a Promise or another thenable.
+ * @private
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for thenables.
+ */
+const _isThenable = (value) => value !== null && (typeof value === 'object' || typeof value === 'function')
+    && typeof value.then === 'function';
+
+/**
+ * Creates a backend on top of the Web Storage API (`localStorage` or `sessionStorage`). Items are
+ * stored as JSON with their expiry.
+ * @private
+ * @param {string} name - The backend name, which is also the global holding the storage.
+ * @returns {StorageBackend} The backend.
+ */
+const _webStorageBackend = (name) => {
+    const storage = () => {
+        try {
+            return typeof globalThis[name] !== 'undefined' ? globalThis[name] : null;
+        } catch (e) {
+            // Accessing web storage throws when it is blocked
+            return null;
+        }
+    };
+    return {
+        name,
+        get: (key) => {
+            const item = storage() && storage().getItem(key);
+            if (!item) return null;
+            try {
+                return JSON.parse(item);
+            } catch (e) {
+                // If parsing fails, the item is invalid
+                return null;
+            }
+        },
+        set: (key, value, options) => {
+            if (!storage()) return;
+            const expires = options.expires ? new Date(options.expires).getTime() : null;
+            storage().setItem(key, JSON.stringify({value, expires}));
+        },
+        remove: (key) => {
+            if (storage()) storage().removeItem(key);
+        },
+    };
+};
+
+/**
+ * Creates a backend that keeps items in memory for the lifetime of the page.
+ * @private
+ * @returns {StorageBackend} The backend.
+ */
+const _memoryBackend = () => {
+    const items = new Map();
+    return {
+        name: 'memory',
+        get: (key) => items.get(key) || null,
+        set: (key, value, options) => {
+            items.set(key, {value, expires: options.expires ? new Date(options.expires).getTime() : null});
+        },
+        remove: (key) => {
+            items.delete(key);
+        },
+    };
+};
+
+/**
+ * Creates an asynchronous backend on top of IndexedDB.
+ * @private
+ * @param {string} dbName - The database name.
+ * @returns {StorageBackend} The backend.
+ */
+const _indexedDBBackend = (dbName) => {
+    let dbPromise = null;
+    const open = () => {
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error("IndexedDB is not available."));
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('items');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+    const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction('items', mode);
+        const request = operation(transaction.objectStore('items'));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+    return {
+        name: 'indexedDB',
+        get: (key) => run('readonly', store => store.get(key)).then(item => item || null),
+        set: (key, value, options) => {
+            const expires = options.expires ? new Date(options.expires).getTime() : null;
+            return run('readwrite', store => store.put({value, expires}, key)).then(() => undefined);
+        },
+        remove: (key) => run('readwrite', store => store.delete(key)).then(() => undefined),
+    };
+};
+
 /**
  * Factory function that creates a client-side storage handler instance.
  *
  * @param {ClientStorageConfig} [config={}] - Configuration for the client storage handler.
- * @returns {{get: function(string): (string|null), set: function(string, string, CookieOptions): void, clear: function(): void, config: ClientStorageConfig}} A storage handler object with `get`, `set`, and `clear` methods.
+ * @returns {{get: function(string): (string|null|Promise<string|null>), getAll: function(string[]): (Object<string, (string|null)>|Promise<Object<string, (string|null)>>), set: function(string, string, CookieOptions): (void|Promise<void>), clear: function(): (void|Promise<void>), config: ClientStorageConfig}}
+ * A storage handler object with `get`, `getAll`, `set`, and `clear` methods.
+ * @throws {Error} If a backend name is unknown.
  *
  * @example
  * // Initialize the client storage handler with a custom prefix
@@ -60,11 +216,19 @@
  * // Use it with sessionManager
  * const manager = sessionManager();
  * const session = manager.process({ storageHandler: storage });
+ *
+ * @example
+ * // Keep the IDs in IndexedDB as well; process() then returns a Promise
+ * const durable = clientStorage({ backends: ['cookie', 'localStorage', 'indexedDB'] });
+ * const session = await manager.process({ storageHandler: durable });
  */
 export const clientStorage = (config = {}) => {
     const finalConfig = {
         cookiePrefix: '__pshC_',
         cookieOptions: {path: '/', secure: true, sameSite: 'Lax'},
+        signingKey: null,
+        backends: ['cookie', 'localStorage'],
+        indexedDBName: '__psh_session',
         ...config,
     };
 
@@ -93,81 +257,274 @@ export const clientStorage = (config = {}) => {
     };
 
     /**
-     * Retrieves a value from storage. It first tries cookies, then localStorage.
-     *
-     * @param {string} key - The key of the item to retrieve (e.g., 'cID').
-     * @returns {string|null} The retrieved value, or null if not found.
+     * The cookie backend.
+     * @type {StorageBackend}
      */
-    const get = (key) => {
-        const name = finalConfig.cookiePrefix + key;
-        if (_checkCookieEnabled()) {
+    const cookieBackend = {
+        name: 'cookie',
+        get: (name) => {
+            if (!_checkCookieEnabled()) return null;
             const match = document.cookie.match(new RegExp('(^|;\\s*)' + name + '=([^;]+)'));
             return match ? decodeURIComponent(match[2]) : null;
-        } else if (typeof localStorage !== 'undefined') {
-            const item = localStorage.getItem(name);
-            if (!item) return null;
-            try {
-                const {value, expires} = JSON.parse(item);
-                // Check for expiration if the item in localStorage has an expiry time
-                if (expires && Date.now() > expires) {
-                    localStorage.removeItem(name);
-                    return null;
+        },
+        set: (name, value, options) => {
+            if (!_checkCookieEnabled()) return;
+            let cookieString = `${name}=${encodeURIComponent(value)}`;
+            for (const optKey in options) {
+                const optValue = options[optKey];
+                if (optValue instanceof Date) {
+                    cookieString += `; ${optKey}=${optValue.toUTCString()}`;
+                } else if (optValue !== undefined && optValue !== null) {
+                    cookieString += `; ${optKey}=${optValue}`;
                 }
-                return value;
-            } catch (e) {
-                // If parsing fails, the item is invalid
-                return null;
             }
+            document.cookie = cookieString;
+        },
+        remove: (name) => {
+            // Clear the cookie by setting an old expiration date
+            if (_checkCookieEnabled()) {
+                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=${finalConfig.cookieOptions.path}`;
+            }
+        },
+    };
+
+    /**
+     * The backends in priority order.
+     * @type {StorageBackend[]}
+     */
+    const backends = finalConfig.backends.map(backend => {
+        if (typeof backend === 'object' && backend !== null) return backend;
+        switch (backend) {
+            case 'cookie':
+                return cookieBackend;
+            case 'localStorage':
+            case 'sessionStorage':
+                return _webStorageBackend(backend);
+            case 'indexedDB':
+                return _indexedDBBackend(finalConfig.indexedDBName);
+            case 'memory':
+                return _memoryBackend();
+            default:
+                throw new Error(`Unknown storage backend "${backend}".`);
         }
-        return null;
+    });
+
+    /**
+     * Calls a backend method, turning synchronous exceptions and rejections into `fallback`, so
+     * that one broken backend never affects the others.
+     * @private
+     * @param {function(): *} operation - The backend call.
+     * @param {*} fallback - The result to use if the call fails.
+     * @returns {*} The result, or a Promise of it.
+     */
+    const _safely = (operation, fallback) => {
+        try {
+            const result = operation();
+            return _isThenable(result) ? Promise.resolve(result).catch(() => fallback) : result;
+        } catch (e) {
+            return fallback;
+        }
+    };
+
+    /**
+     * Normalizes what a backend returned to a `StoredValue`, dropping expired and empty items.
+     * @private
+     * @param {StoredValue|string|null|undefined} item - The raw item.
+     * @returns {StoredValue|null} The item, or null if it is missing or expired.
+     */
+    const _normalize = (item) => {
+        if (item === null || item === undefined) return null;
+        const stored = typeof item === 'string' ? {value: item, expires: null} : item;
+        if (typeof stored.value !== 'string' || stored.value === '') return null;
+        if (stored.expires && Date.now() > stored.expires) return null;
+        return stored;
+    };
+
+    /**
+     * Returns the creation time of a stored cID, or null if it is not a valid pushID. Signed
+     * values are decoded without their signature, which the sessionManager verifies later.
+     * @private
+     * @param {string} value - The stored cID.
+     * @returns {number|null} The creation time in milliseconds.
+     */
+    const _cIDTime = (value) => {
+        const decoded = pushID.tryDecodeID(_strip(value));
+        return decoded && !isNaN(decoded.date.getTime()) ? decoded.date.getTime() : null;
+    };
+
+    /**
+     * Returns a stored value without its signature, if values are signed.
+     * @private
+     * @param {string} value - The stored value.
+     * @returns {string} The value.
+     */
+    const _strip = (value) => finalConfig.signingKey ? pushID.strip(value) : value;
+
+    /**
+     * The cID this handler last read or wrote, without its signature, so that `set` can tell when
+     * the cID is replaced.
+     * @type {string|null}
+     */
+    let knownCID = null;
+
+    /**
+     * The creation time of the newest retired cID this handler knows of, or 0 if there is none.
+     * @type {number}
+     */
+    let retiredTime = 0;
+
+    /**
+     * Records that every cID created at or before the given time is retired, in every backend.
+     * @private
+     * @param {number} time - The creation time of the retired cID.
+     * @returns {Array<void|Promise<void>>} The pending writes.
+     */
+    const _retire = (time) => {
+        retiredTime = Math.max(retiredTime, time);
+        const name = finalConfig.cookiePrefix + RETIRED_KEY;
+        const options = {...finalConfig.cookieOptions, expires: new Date(Date.now() + CID_LIFETIME)};
+        return backends.map(backend => _safely(() => backend.set(name, String(retiredTime), options), undefined));
+    };
+
+    /**
+     * Picks the value of each key from the items read from every backend, and restores the
+     * oldest valid cID to the backends that lost it. Retired cIDs are removed instead.
+     * @private
+     * @param {string[]} keys - The keys that were read.
+     * @param {Array<Array<StoredValue|null>>} items - The items, indexed by backend and then by key.
+     * @returns {Object<string, (string|null)>|Promise<Object<string, (string|null)>>} The values keyed by key,
+     * or a Promise of them once an asynchronous restore has finished.
+     */
+    const _merge = (keys, items) => {
+        const values = {};
+        const writes = [];
+        const retiredIndex = keys.indexOf(RETIRED_KEY);
+        if (retiredIndex !== -1) {
+            for (const perBackend of items) {
+                const item = _normalize(perBackend[retiredIndex]);
+                const time = item ? Number(item.value) : NaN;
+                if (Number.isFinite(time)) retiredTime = Math.max(retiredTime, time);
+            }
+        }
+        keys.forEach((key, k) => {
+            if (key === RETIRED_KEY) return;
+            const found = items.map(perBackend => _normalize(perBackend[k]));
+            if (key !== 'cID') {
+                const first = found.find(item => item !== null);
+                values[key] = first ? first.value : null;
+                return;
+            }
+
+            // Retired cIDs are removed; of the others, the oldest valid cID wins and ties go to the
+            // backend with the highest priority
+            const name = finalConfig.cookiePrefix + key;
+            let oldest = null;
+            let oldestTime = Infinity;
+            found.forEach((item, b) => {
+                const time = item ? _cIDTime(item.value) : null;
+                if (time !== null && time <= retiredTime) {
+                    found[b] = null;
+                    writes.push(_safely(() => backends[b].remove(name), undefined));
+                } else if (time !== null && time < oldestTime) {
+                    oldest = item;
+                    oldestTime = time;
+                }
+            });
+            if (!oldest) {
+                const first = found.find(item => item !== null);
+                values[key] = first ? first.value : null;
+                knownCID = first ? _strip(first.value) : null;
+                return;
+            }
+            values[key] = oldest.value;
+            knownCID = _strip(oldest.value);
+
+            const expires = new Date(oldest.expires || Date.now() + CID_LIFETIME);
+            const options = {...finalConfig.cookieOptions, expires};
+            backends.forEach((backend, b) => {
+                if (found[b] && found[b].value === oldest.value) return;
+                writes.push(_safely(() => backend.set(name, oldest.value, options), undefined));
+            });
+        });
+        return writes.some(_isThenable) ? Promise.all(writes).then(() => values) : values;
     };
 
     /**
-     * Saves a key-value pair to storage. It writes to both cookies (if enabled)
-     * and localStorage.
+     * Retrieves several values in one read of every backend.
+     *
+     * @param {string[]} keys - The keys of the items to retrieve.
+     * @returns {Object<string, (string|null)>|Promise<Object<string, (string|null)>>} The values keyed by key, or a
+     * Promise of them if a backend is asynchronous.
+     */
+    const getAll = (keys) => {
+        const read = keys.includes('cID') ? [...keys, RETIRED_KEY] : keys;
+        const items = backends.map(backend => read.map(key => _safely(() => backend.get(finalConfig.cookiePrefix + key), null)));
+        if (!items.some(perBackend => perBackend.some(_isThenable))) return _merge(read, items);
+        return Promise.all(items.map(perBackend => Promise.all(perBackend))).then(resolved => _merge(read, resolved));
+    };
+
+    /**
+     * Retrieves a value from storage, from the first backend that has it. For the cID, the
+     * oldest valid value in any backend is returned instead.
+     *
+     * @param {string} key - The key of the item to retrieve (e.g., 'cID').
+     * @returns {string|null|Promise<string|null>} The retrieved value, or null if not found.
+     */
+    const get = (key) => {
+        const values = getAll([key]);
+        return _isThenable(values) ? values.then(v => v[key]) : values[key];
+    };
+
+    /**
+     * Saves a key-value pair to every backend.
      *
      * @param {string} key - The key of the item to set (e.g., 'sID').
      * @param {string} value - The value to store.
      * @param {CookieOptions} cookieOpts - Options for the cookie, especially the `expires` date.
+     * @returns {void|Promise<void>} A Promise if a backend is asynchronous.
      */
     const set = (key, value, cookieOpts) => {
         const name = finalConfig.cookiePrefix + key;
         const options = {...finalConfig.cookieOptions, ...cookieOpts};
-
-        if (_checkCookieEnabled()) {
-            let cookieString = `${name}=${encodeURIComponent(value)}`;
-            for (const optKey in options) {
-                const optValue = options[optKey];
-                if (optValue instanceof Date) {
-                    cookieString += `; ${optKey}=${optValue.toUTCString()}`;
-                } else if (optValue !== undefined && optValue !== null) {
-                    cookieString += `; ${optKey}=${optValue}`;
-                }
-            }
-            document.cookie = cookieString;
-        } else if (typeof localStorage !== 'undefined') {
-            const expires = options.expires ? new Date(options.expires).getTime() : null;
-            localStorage.setItem(name, JSON.stringify({value, expires}));
+        const writes = [];
+        if (key === 'cID' && value) {
+            // A replaced cID is retired, so that stale copies of it are never restored. The new cID
+            // itself is never retired, even if both were created in the same millisecond.
+            const replacedTime = knownCID && knownCID !== _strip(value) ? _cIDTime(knownCID) : null;
+            const newTime = _cIDTime(value);
+            if (replacedTime !== null) writes.push(..._retire(newTime === null ? replacedTime : Math.min(replacedTime, newTime - 1)));
+            knownCID = _strip(value);
         }
+        writes.push(...backends.map(backend => _safely(() => backend.set(name, value, options), undefined)));
+        if (writes.some(_isThenable)) return Promise.all(writes).then(() => undefined);
     };
 
     /**
-     * Clears all session-related keys from storage (both cookies and localStorage).
+     * Clears all session-related keys from every backend, and retires every cID found, so that a
+     * backend the removal did not reach cannot bring it back.
+     * @returns {void|Promise<void>} A Promise if a backend is asynchronous.
      */
     const clear = () => {
-        const keys = ['cID', 'sID', 'eID', 'seqID'];
-        keys.forEach(key => {
-            const name = finalConfig.cookiePrefix + key;
-            // Clear the cookie by setting an old expiration date
-            if (_checkCookieEnabled()) {
-                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=${finalConfig.cookieOptions.path}`;
-            }
-            // Remove the item from localStorage
-            if (typeof localStorage !== 'undefined') {
-                localStorage.removeItem(name);
+        const removeAll = () => {
+            const removals = [];
+            for (const key of SESSION_KEYS) {
+                for (const backend of backends) removals.push(_safely(() => backend.remove(finalConfig.cookiePrefix + key), undefined));
             }
-        });
+            knownCID = null;
+            return removals;
+        };
+        const retireFound = (found) => {
+            const times = found.map(item => _normalize(item)).map(item => item ? _cIDTime(item.value) : null)
+                .filter(time => time !== null);
+            return times.length > 0 ? _retire(Math.max(...times)) : [];
+        };
+        const found = backends.map(backend => _safely(() => backend.get(finalConfig.cookiePrefix + 'cID'), null));
+        if (found.some(_isThenable)) {
+            return Promise.all(found).then(resolved => Promise.all([...retireFound(resolved), ...removeAll()])).then(() => undefined);
+        }
+        const pending = [...retireFound(found), ...removeAll()];
+        if (pending.some(_isThenable)) return Promise.all(pending).then(() => undefined);
     };
 
-    return {get, set, clear, config: finalConfig};
-};
\ No newline at end of file
+    return {get, getAll, set, clear, config: finalConfig};
+};
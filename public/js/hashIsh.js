@@ -1,6 +1,6 @@
 /**
  * @fileoverview A utility for creating stable, deterministic hash strings from any JavaScript input.
- * @version 1.0.0
+ * @version 1.1.0
  *
  * This function is a non-cryptographic hashing function. It is designed to be fast and to
  * produce a stable, predictable hash for any given JavaScript value. "Stable" means that
@@ -14,17 +14,29 @@
 
 import serialize from './serial.js';
 
+/**
+ * The hash versions that can be computed synchronously.
+ * - `1`: The original algorithm. Its output characters repeat after 20 positions and carry far
+ *   less entropy than their length suggests; kept so that existing hashes stay reproducible.
+ * - `2`: A 128-bit mixer squeezed in counter mode. Every character carries fresh bits, so output
+ *   does not repeat, and collision resistance grows with length up to the 128-bit state
+ *   (about 21 characters).
+ *
+ * The asynchronous `hashIshAsync` additionally supports `'sha256'`.
+ * @typedef {1|2} HashVersion
+ */
+
 /**
  * Creates a stable, deterministic hash string from any JavaScript input.
  *
  * This function is exported as an IIFE (Immediately Invoked Function Expression)
- * that contains a private `_serialize` helper function and returns the main
- * hashing function.
+ * that keeps its mixing helpers private and returns the main hashing function.
  *
  * @param {*} input - The value to hash (e.g., object, array, string, number).
  * @param {number} [length=12] - The desired length of the output hash string. Minimum is 12.
  * @param {string} PUSH_CHARS - The character set to use for generating the hash string.
  * This is typically provided by the calling module (e.g., pushID.js).
+ * @param {HashVersion} [version=1] - The hash algorithm version.
  * @returns {string} A stable hash string of the specified length.
  *
  * @example
@@ -46,30 +58,23 @@ import serialize from './serial.js';
  * // Hash an array
  * const arrHash = hashIsh([1, "test", true], 12, PUSH_CHARS);
  * // -> e.g., "zYxWvUtSrQpOnM"
+ *
+ * // Use the full-width version 2 for long hashes
+ * const longHash = hashIsh({ orderId: 42 }, 32, PUSH_CHARS, 2);
  */
 const hashIsh = (function () {
     // Default character set is now defined within the library's scope.
     const DEFAULT_PUSH_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz~';
 
     /**
-     * Deterministically serializes any JavaScript value to a string for hashing.
-     * Ensures that object keys are sorted to produce a stable, consistent output.
+     * Version 1: a variation of the MurmurHash3 mixing steps over four 32-bit words.
      * @private
-     * @param {*} val - The value to serialize (string, number, object, array, etc.).
-     * @returns {string} A stable, stringified representation of the value.
-     */
-
-    /**
-     * The main hashing function returned by the IIFE.
-     * Implements a variation of the MurmurHash3 algorithm for fast, non-cryptographic hashing.
-     * @param {*} input - The value to hash.
+     * @param {string} serialized - The serialized input.
      * @param {number} length - The desired length of the hash.
      * @param {string} PUSH_CHARS - The character set for the output string.
      * @returns {string} The resulting hash string.
      */
-    // The function now uses default parameters for length and PUSH_CHARS.
-    return function (input, length = 12, PUSH_CHARS = DEFAULT_PUSH_CHARS) {
-        const serialized = serialize(input);
+    function _hashV1(serialized, length, PUSH_CHARS) {
         let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
         for (let i = 0, k; i < serialized.length; i++) {
             k = serialized.charCodeAt(i);
@@ -87,9 +92,128 @@ const hashIsh = (function () {
         for (let i = 0; i < length; i++) {
             const state = [h1, h2, h3, h4];
             const charIndex = (state[i % 4] >> ((i % 5) * 3)) & 63;
-            hashChars[i] = PUSH_CHARS.charAt(charIndex);
+            hashChars[i] = PUSH_CHARS.charAt(charIndex % PUSH_CHARS.length);
         }
         return hashChars.join('');
     }
+
+    /**
+     * The MurmurHash3 32-bit finalizer.
+     * @private
+     * @param {number} h - The word to mix.
+     * @returns {number} The mixed word.
+     */
+    function _fmix32(h) {
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    /**
+     * Version 2: absorbs every character into all four state words (cyrb128), then squeezes
+     * 128 fresh bits per block by mixing the state with a block counter. Each output character
+     * uses its own 6 bits, so characters never repeat with a period.
+     * @private
+     * @param {string} serialized - The serialized input.
+     * @param {number} length - The desired length of the hash.
+     * @param {string} PUSH_CHARS - The character set for the output string.
+     * @returns {string} The resulting hash string.
+     */
+    function _hashV2(serialized, length, PUSH_CHARS) {
+        let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+        for (let i = 0, k; i < serialized.length; i++) {
+            k = serialized.charCodeAt(i);
+            h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+        }
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+        h1 ^= serialized.length;
+        h1 ^= (h2 ^ h3 ^ h4);
+        h2 ^= h1;
+        h3 ^= h1;
+        h4 ^= h1;
+
+        const hashChars = [];
+        for (let block = 0; hashChars.length < length; block++) {
+            // Each block derives four words from the full state and the counter
+            let a = _fmix32(h1 ^ Math.imul(block + 1, 2654435761));
+            let b = _fmix32(h2 ^ a);
+            let c = _fmix32(h3 ^ b);
+            let d = _fmix32(h4 ^ c);
+            a = _fmix32(a ^ d);
+            for (const word of [a, b, c, d]) {
+                // 5 characters of 6 bits from each 32-bit word
+                for (let shift = 0; shift < 30 && hashChars.length < length; shift += 6) {
+                    hashChars.push(PUSH_CHARS.charAt(((word >>> shift) & 63) % PUSH_CHARS.length));
+                }
+            }
+        }
+        return hashChars.join('');
+    }
+
+    /**
+     * The main hashing function returned by the IIFE.
+     * @param {*} input - The value to hash.
+     * @param {number} length - The desired length of the hash.
+     * @param {string} PUSH_CHARS - The character set for the output string.
+     * @param {HashVersion} version - The hash algorithm version.
+     * @returns {string} The resulting hash string.
+     */
+    // The function now uses default parameters for length and PUSH_CHARS.
+    return function (input, length = 12, PUSH_CHARS = DEFAULT_PUSH_CHARS, version = 1) {
+        if (version === 1) return _hashV1(serialize(input, {legacy: true}), length, PUSH_CHARS);
+        if (version === 2) return _hashV2(serialize(input), length, PUSH_CHARS);
+        throw new Error(`Unknown hash version "${version}".`);
+    }
 })();
+
+/**
+ * Asynchronously creates a stable hash string, additionally supporting the `'sha256'` version.
+ * It hashes the serialized input with SHA-256 through the Web Crypto API, in counter mode when
+ * more than 256 bits of output are needed, giving 128-bit collision resistance at 22 characters
+ * and beyond.
+ *
+ * @param {*} input - The value to hash.
+ * @param {number} [length=12] - The desired length of the output hash string.
+ * @param {string} [PUSH_CHARS] - The character set for the output string.
+ * @param {HashVersion|'sha256'} [version='sha256'] - The hash algorithm version.
+ * @returns {Promise<string>} The hash string.
+ *
+ * @example
+ * const key = await hashIshAsync({ orderId: 42 }, 32);
+ */
+async function hashIshAsync(input, length = 12, PUSH_CHARS = undefined, version = 'sha256') {
+    if (version !== 'sha256') return hashIsh(input, length, PUSH_CHARS, version);
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error("The sha256 hash version requires the Web Crypto API (crypto.subtle).");
+    }
+    const chars = PUSH_CHARS || '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz~';
+    const data = new TextEncoder().encode(serialize(input));
+    const hashChars = [];
+    for (let block = 0; hashChars.length < length; block++) {
+        const message = new Uint8Array(4 + data.length);
+        new DataView(message.buffer).setUint32(0, block);
+        message.set(data, 4);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', message));
+        // 42 characters of 6 bits from the 256-bit digest
+        let bits = 0, acc = 0;
+        for (let i = 0; i < digest.length && hashChars.length < length; i++) {
+            acc = (acc << 8) | digest[i];
+            bits += 8;
+            while (bits >= 6 && hashChars.length < length) {
+                bits -= 6;
+                hashChars.push(chars.charAt(((acc >>> bits) & 63) % chars.length));
+            }
+            acc &= (1 << bits) - 1;
+        }
+    }
+    return hashChars.join('');
+}
+
+export {hashIsh, hashIshAsync};
 export default hashIsh;
@@ -1,125 +1,58 @@
-// import {hashIsh} from './hashIsh.js';
-/**
- * @fileoverview A utility for creating stable, deterministic hash strings from any JavaScript input.
- * @version 1.0.0
- *
- * This function is a non-cryptographic hashing function. It is designed to be fast and to
- * produce a stable, predictable hash for any given JavaScript value. "Stable" means that
- * the same input will always produce the same output. For objects, the keys are sorted
- * before serialization to ensure that `{a: 1, b: 2}` and `{b: 2, a: 1}` produce the
- * same hash.
- *
- * This is particularly useful for creating idempotent identifiers or for simple checksums.
- * It is NOT suitable for cryptographic purposes like password hashing.
- */
-
-/**
- * Creates a stable, deterministic hash string from any JavaScript input.
- *
- * This function is exported as an IIFE (Immediately Invoked Function Expression)
- * that contains a private `_serialize` helper function and returns the main
- * hashing function.
- *
- * @param {*} input - The value to hash (e.g., object, array, string, number).
- * @param {number} [length=12] - The desired length of the output hash string. Minimum is 12.
- * @param {string} PUSH_CHARS - The character set to use for generating the hash string.
- * This is typically provided by the calling module (e.g., pushID.js).
- * @returns {string} A stable hash string of the specified length.
- *
- * @example
- * // This example assumes PUSH_CHARS is available, as it is when called by pushID.js
- * const PUSH_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz~';
- *
- * // Hash a simple object. Note that key order does not matter.
- * const obj1 = { name: "John", age: 30 };
- * const obj2 = { age: 30, name: "John" };
- * const hash1 = hashIsh(obj1, 12, PUSH_CHARS);
- * const hash2 = hashIsh(obj2, 12, PUSH_CHARS);
- * console.log(hash1 === hash2); // -> true
- * // -> e.g., "J~4hV2b_kL9x"
- *
- * // Hash a string
- * const strHash = hashIsh("hello world", 16, PUSH_CHARS);
- * // -> e.g., "aBcDeFgHiJkLmNoP"
- *
- * // Hash an array
- * const arrHash = hashIsh([1, "test", true], 12, PUSH_CHARS);
- * // -> e.g., "zYxWvUtSrQpOnM"
- */
-export const hashIsh = (function () {
-    /**
-     * Deterministically serializes any JavaScript value to a string for hashing.
-     * Ensures that object keys are sorted to produce a stable, consistent output.
-     * @private
-     * @param {*} val - The value to serialize (string, number, object, array, etc.).
-     * @returns {string} A stable, stringified representation of the value.
-     */
-    function _serialize(val) {
-        if (val === null || val === undefined) return 'null';
-        if (typeof val !== 'object') return JSON.stringify(val);
-        if (Array.isArray(val)) return '[' + val.map(_serialize).join(',') + ']';
-        // Sort object keys for a deterministic output
-        return '{' + Object.keys(val).sort().map(key => JSON.stringify(key) + ':' + _serialize(val[key])).join(',') + '}';
-    }
-
-    /**
-     * The main hashing function returned by the IIFE.
-     * Implements a variation of the MurmurHash3 algorithm for fast, non-cryptographic hashing.
-     * @param {*} input - The value to hash.
-     * @param {number} length - The desired length of the hash.
-     * @param {string} PUSH_CHARS - The character set for the output string.
-     * @returns {string} The resulting hash string.
-     */
-    return function (input, length, PUSH_CHARS) {
-        const serialized = _serialize(input);
-        // MurmurHash3 seed values
-        let h1 = 1779033703, h2 = 3144134277,
-            h3 = 1013904242, h4 = 2773480762;
-
-        for (let i = 0, k; i < serialized.length; i++) {
-            k = serialized.charCodeAt(i);
-            h1 = h2 ^ Math.imul(h1, 597399067);
-            h2 = h3 ^ Math.imul(h2, 2869860233);
-            h3 = h4 ^ Math.imul(h3, 951274213);
-            h4 = h1 ^ Math.imul(h4, 2716044179);
-            h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
-            h2 = Math.imul(h2 ^ (h2 >>> 13), 3266489909);
-            h3 = Math.imul(h3 ^ (h3 >>> 16), 2246822507);
-            h4 = Math.imul(h4 ^ (h4 >>> 13), 3266489909);
-            h1 = (h1 ^ k) >>> 0;
-        }
-
-        const hashChars = new Array(length);
-        for (let i = 0; i < length; i++) {
-            const state = [h1, h2, h3, h4];
-            // Use the hash state to pick characters from the character set
-            const charIndex = (state[i % 4] >> ((i % 5) * 3)) & 63;
-            hashChars[i] = PUSH_CHARS.charAt(charIndex);
-        }
-        return hashChars.join('');
-    }
-})();
-
 /**
  * @fileoverview A universal JavaScript library to generate and decode unique, chronologically
  * sortable IDs (Push IDs), inspired by and compatible with Firebase's scheme.
  * This library is optimized for performance and provides a rich, extensible API.
- * It is dependency-free and works in any JavaScript environment (browsers, Node.js, Cloudflare Workers).
+ * It has no external dependencies and works in any JavaScript environment (browsers, Node.js, Cloudflare Workers).
  *
  * @version 3.6.0
  */
 
+import {hashIsh, hashIshAsync} from './hashIsh.js';
+
+export {hashIsh};
+
 /**
  * @typedef {object} PushIDOptions
  * @property {number|Date} [time] - A specific time to use for the timestamp part,
  * either as milliseconds since the UNIX epoch or a Date object. Defaults to `Date.now()`.
  * @property {string|null} [stub] - A string identifier for the ID's type (e.g., 'user', 'post').
  * If set to null or an empty string, a legacy (non-delimited) ID is created.
- * @property {number} [length=12] - The desired length for the random/hash part. Minimum is 12.
+ * @property {number} [length=12] - The desired length for the random/hash part. Minimum is 12, or
+ * the instance's `randomLength`.
  * @property {string} [randomness] - A specific random string to use, bypassing
  * the internal random generator. This is useful for testing or specific use cases.
  * @property {*} [data] - Data to be hashed to create a deterministic "random" part.
  * Used by `newHashID`.
+ * @property {import('./hashIsh.js').HashVersion|'sha256'} [hashVersion] - The hash version used for `data`.
+ * Defaults to the instance setting, which is `1` unless changed. `'sha256'` requires `newHashIDAsync()`.
+ * @property {string} [opaqueKey] - If set, `newID()` returns the opaque, public form of the new ID
+ * (see `pushID.toOpaque()`), and `newObj()` adds it as `opaqueId`.
+ * @property {RandomSource} [rng] - A random source to use for this call only. Defaults to the
+ * instance's random source (see `pushID.configure()`).
+ * @property {boolean} [monotonic] - If true, an ID generated in the same millisecond as the
+ * previous one (or while the clock is behind it) reuses the previous timestamp and increments
+ * the previous random part, guaranteeing strict lexicographic order. Defaults to the instance
+ * setting made with `pushID.configure()`, which is `false` unless changed.
+ */
+
+/**
+ * A source of random bytes with the same contract as `crypto.getRandomValues`: it fills the
+ * given array in place and returns it.
+ * @callback RandomSource
+ * @param {Uint8Array} bytes - The array to fill with random bytes.
+ * @returns {Uint8Array} The same array, filled.
+ */
+
+/**
+ * @typedef {object} PushIDConfig
+ * @property {boolean} [monotonic] - Enables monotonic generation for every call that does not
+ * set the `monotonic` option itself.
+ * @property {number} [monotonicMaxDrift] - How far, in milliseconds, the last ID may lie ahead of the
+ * clock for monotonic generation to still build on it. See `PushIDFactoryOptions`.
+ * @property {RandomSource|null} [rng] - Replaces the random source used for the random part of
+ * new IDs. Pass `null` to restore the default (`crypto.getRandomValues` where available).
+ * @property {import('./hashIsh.js').HashVersion} [hashVersion] - The default hash version for `hash()`
+ * and `newHashID()`.
  */
 
 /**
@@ -128,6 +61,13 @@ export const hashIsh = (function () {
  * @property {string} randomness - The random part of the ID.
  * @property {Date} date - The timestamp of the ID's creation as a Date object.
  * @property {string|null} stub - The stub of the ID (e.g., "user"), or null if not present.
+ * @property {string} [opaqueId] - The opaque, public form of the ID. Only present when generated with `opaqueKey`.
+ */
+
+/**
+ * @typedef {object} DecodeOptions
+ * @property {string} [opaqueKey] - Treats the input as an opaque ID and reveals it with this key
+ * before decoding.
  */
 
 /**
@@ -137,20 +77,245 @@ export const hashIsh = (function () {
  * @property {Date} date - The creation timestamp of the ID as a Date object.
  * @property {string|null} stub - The stub part of the ID, or null for legacy IDs.
  * @property {string} encodedTime - The 8-character encoded timestamp part of the ID.
+ * @property {string} [opaqueId] - The opaque ID that was decoded. Only present when decoded with `opaqueKey`.
+ */
+
+/**
+ * @typedef {object} ValidationOptions
+ * @property {string|null} [stub] - The expected stub. A string requires a delimited ID with exactly
+ * that stub; `null` requires a legacy ID. If omitted, any stub is accepted.
+ * @property {number} [minLength=12] - The minimum length of the random part.
+ * @property {number} [maxAge] - The maximum age of the ID in milliseconds. Older IDs are rejected.
+ * @property {boolean} [allowLegacy=true] - Whether legacy (non-delimited) IDs are accepted.
+ * @property {number} [clockSkew=60000] - How far in the future, in milliseconds, a timestamp may lie
+ * before it is rejected. Absorbs small clock differences between machines.
+ */
+
+/**
+ * @typedef {object} ValidationError
+ * @property {string} code - A machine-readable error code from `pushID.VALIDATION_CODES`.
+ * @property {string} message - A human-readable description of the problem.
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {boolean} valid - True if the ID passed every check.
+ * @property {ValidationError[]} errors - Every problem found. Empty when `valid` is true.
+ * @property {DecodedPushIDObject|null} decoded - The decoded ID, or null if it could not be parsed.
+ */
+
+/**
+ * @typedef {object} RangeOptions
+ * @property {number|Date} [from=0] - The start of the time window (inclusive).
+ * @property {number|Date} [to=Date.now()] - The end of the time window (inclusive).
+ * @property {string|null} [stub] - The stub of the IDs to scan. If omitted or null, bounds for
+ * legacy (non-delimited) IDs are returned.
+ * @property {number} [length=12] - The length of the random part, used to build the inclusive `end`.
  */
 
 /**
- * An IIFE (Immediately Invoked Function Expression) that encapsulates all library
- * logic, keeping internal state private and returning a public API object.
- * @returns {object} The public `pushID` object with all generation and decoding methods.
+ * @typedef {object} PushIDRange
+ * @property {string} start - The lowest possible ID in the window (inclusive).
+ * @property {string} end - The highest possible ID in the window with a random part of `length`
+ * characters (inclusive). Suitable for `BETWEEN`.
+ * @property {string} endExclusive - The first key after the window, regardless of random part
+ * length. Suitable for half-open scans such as `list({start, end})`.
  */
-export const pushID = (function () {
+
+/**
+ * @typedef {object} PushIDFactoryOptions
+ * @property {string} [alphabet] - The character set used to encode the timestamp and random part.
+ * Its characters must be unique and in ascending code-unit order so that IDs sort correctly, it
+ * must not contain the "-" delimiter, and it may hold 2 to 256 characters. Defaults to the
+ * 64-character `PUSH_CHARS`.
+ * @property {number} [randomLength=12] - The default and minimum length of the random part.
+ * @property {number} [timeLength=8] - The number of characters used to encode the timestamp.
+ * @property {number} [epoch=0] - The custom epoch in milliseconds since the UNIX epoch. Timestamps
+ * are encoded relative to it, and times before it cannot be encoded.
+ * @property {RandomSource} [rng] - The random source. Defaults to `crypto.getRandomValues`.
+ * @property {boolean} [monotonic=false] - Enables monotonic generation by default.
+ * @property {number} [monotonicMaxDrift=Infinity] - How far, in milliseconds, the last clock-derived ID
+ * may lie ahead of the clock for monotonic generation to still build on it. By default, monotonic
+ * IDs stay in order however far the clock is set back. With a limit, a clock that jumps back by
+ * more restarts the sequence from the clock, so that IDs do not stay pinned to a future time, but
+ * the IDs after the jump sort before the earlier ones: this weakens the ordering guarantee.
+ * @property {import('./hashIsh.js').HashVersion} [hashVersion=1] - The default hash version.
+ */
+
+/**
+ * @typedef {object} SnowflakeOptions
+ * @property {number} [epoch=1288834974657] - The Snowflake epoch in milliseconds. Defaults to
+ * Twitter's; Discord uses 1420070400000.
+ * @property {number} [shift=22] - The number of low bits below the timestamp (worker and sequence).
+ * @property {string|null} [stub] - The stub for the resulting pushID.
+ */
+
+/**
+ * A secret for HMAC signing: a string, raw key bytes, or an HMAC-SHA256 `CryptoKey`.
+ * @typedef {string|Uint8Array|CryptoKey} SigningSecret
+ */
+
+/**
+ * A signing key. Either a single secret (signed under the key ID "0"), or a keyring whose
+ * `current` key signs new values while every key in `keys` is accepted for verification, which
+ * allows keys to be rotated without invalidating existing signatures.
+ * @typedef {SigningSecret|{current: string, keys: Object<string, SigningSecret>}} SigningKey
+ */
+
+/**
+ * Crockford's base-32 alphabet, used by ULIDs.
+ * @type {string}
+ */
+const CROCKFORD_CHARS = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * The default 64-character set used for base-64 encoding of the ID. The order is
+ * optimized for correct lexicographical sorting.
+ * @type {string}
+ */
+const DEFAULT_PUSH_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz~';
+
+/**
+ * Throws unless the monotonic drift limit is a non-negative number of milliseconds or Infinity.
+ * @private
+ * @param {*} maxDrift - The limit to check.
+ * @throws {Error} If the limit is invalid.
+ */
+function _checkMaxDrift(maxDrift) {
+    if (typeof maxDrift !== 'number' || !(maxDrift >= 0)) {
+        throw new Error("The monotonicMaxDrift option must be a non-negative number of milliseconds.");
+    }
+}
+
+/**
+ * Resolves the secret for a key ID from a signing key.
+ * @private
+ * @param {SigningKey} key - The signing key or keyring.
+ * @param {string} [kid] - The key ID to look up. Defaults to the keyring's current key.
+ * @returns {{kid: string, secret: SigningSecret}|null} The key ID and secret, or null if unknown.
+ * @throws {Error} If no key is given or a key ID is invalid.
+ */
+function _resolveSigningKey(key, kid) {
+    if (!key) throw new Error("A signing key must be provided.");
+    const isKeyring = typeof key === 'object' && !(key instanceof Uint8Array) && 'keys' in key;
+    const keys = isKeyring ? key.keys : {'0': key};
+    const keyId = kid === undefined ? (isKeyring ? key.current : '0') : kid;
+    if (!/^[A-Za-z0-9_~]+$/.test(keyId)) throw new Error(`Invalid key ID "${keyId}".`);
+    return Object.prototype.hasOwnProperty.call(keys, keyId) ? {kid: keyId, secret: keys[keyId]} : null;
+}
+
+/**
+ * Returns the data that follows the key ID in the signed message. Key IDs never contain ':', so
+ * a value signed with a purpose can never verify without one, and vice versa.
+ * @private
+ * @param {string} id - The value.
+ * @param {string} [purpose] - The purpose, if any.
+ * @returns {string|null} The data, or null if the purpose is invalid.
+ */
+function _signedData(id, purpose) {
+    if (purpose === undefined || purpose === null) return `.${id}`;
+    if (typeof purpose !== 'string' || !/^[A-Za-z0-9_~-]+$/.test(purpose)) return null;
+    return `:${purpose}.${id}`;
+}
+
+/**
+ * Imports a signing secret as an HMAC-SHA256 `CryptoKey`.
+ * @private
+ * @param {SigningSecret} secret - The secret.
+ * @returns {Promise<CryptoKey>} The imported key.
+ */
+async function _importHmacKey(secret) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error("Signing requires the Web Crypto API (crypto.subtle).");
+    }
+    if (typeof secret === 'string' || secret instanceof Uint8Array) {
+        const raw = typeof secret === 'string' ? new TextEncoder().encode(secret) : secret;
+        return crypto.subtle.importKey('raw', raw, {name: 'HMAC', hash: 'SHA-256'}, false, ['sign', 'verify']);
+    }
+    return secret;
+}
+
+/**
+ * Encodes bytes as unpadded base64url.
+ * @private
+ * @param {ArrayBuffer} buffer - The bytes.
+ * @returns {string} The base64url string.
+ */
+function _toBase64Url(buffer) {
+    let binary = '';
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url into bytes.
+ * @private
+ * @param {string} str - The base64url string.
+ * @returns {Uint8Array|null} The bytes, or null if the string is not valid base64url.
+ */
+function _fromBase64Url(str) {
+    if (!/^[A-Za-z0-9_-]*$/.test(str)) return null;
+    try {
+        const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Creates an independent pushID generator. Every instance has its own alphabet, random source,
+ * settings and `previousID()` state, and exposes the same API as the default `pushID` export.
+ *
+ * @param {PushIDFactoryOptions} [options={}] - Configuration for the generator.
+ * @returns {object} A new pushID generator.
+ * @throws {Error} If the alphabet or lengths are invalid.
+ *
+ * @example
+ * const tenantIDs = pushID.create({ epoch: Date.UTC(2025, 0, 1), randomLength: 16 });
+ * const id = tenantIDs.newID({ stub: 'order' });
+ */
+function createPushID(options = {}) {
+    const {
+        alphabet = DEFAULT_PUSH_CHARS,
+        randomLength = 12,
+        timeLength = 8,
+        epoch = 0,
+        rng = null,
+        monotonic = false,
+        monotonicMaxDrift = Infinity,
+        hashVersion = 1,
+    } = options;
+
+    if (typeof alphabet !== 'string' || alphabet.length < 2 || alphabet.length > 256) {
+        throw new Error("The alphabet must be a string of 2 to 256 characters.");
+    }
+    for (let i = 0; i < alphabet.length; i++) {
+        if (alphabet[i] === '-') throw new Error('The alphabet must not contain the "-" delimiter.');
+        if (i > 0 && alphabet.charCodeAt(i) <= alphabet.charCodeAt(i - 1)) {
+            throw new Error("The alphabet must contain unique characters in ascending order.");
+        }
+    }
+    if (!Number.isInteger(randomLength) || randomLength < 1) throw new Error("The randomLength must be a positive integer.");
+    if (!Number.isInteger(timeLength) || timeLength < 1) throw new Error("The timeLength must be a positive integer.");
+    if (!Number.isInteger(epoch)) throw new Error("The epoch must be an integer millisecond timestamp.");
+    if (rng !== null && typeof rng !== 'function') throw new Error("The rng option must be a function or null.");
+    _checkMaxDrift(monotonicMaxDrift);
+
     /**
-     * The 64-character set used for base-64 encoding of the ID. The order is
-     * optimized for correct lexicographical sorting.
+     * The character set used for encoding this instance's IDs.
      * @type {string}
      */
-    const PUSH_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz~';
+    const PUSH_CHARS = alphabet;
+
+    /**
+     * The numeric base of the encoding, i.e. the size of the alphabet.
+     * @type {number}
+     */
+    const BASE = PUSH_CHARS.length;
 
     /**
      * A reverse lookup map created on initialization for fast character-to-value
@@ -160,6 +325,19 @@ export const pushID = (function () {
     const CHARS_MAP = {};
     for (let i = 0; i < PUSH_CHARS.length; i++) CHARS_MAP[PUSH_CHARS[i]] = i;
 
+    /**
+     * The number of bits each character carries, or null if `BASE` is not a power of two. Binary
+     * conversions (UUIDv7, ULID, `toBytes`) require it.
+     * @type {number|null}
+     */
+    const BITS_PER_CHAR = Number.isInteger(Math.log2(BASE)) ? Math.log2(BASE) : null;
+
+    /**
+     * The first offset from the epoch that no longer fits into the time part (BASE^timeLength).
+     * @type {number}
+     */
+    const MAX_TIME = Math.pow(BASE, timeLength);
+
     /**
      * Caches the complete object from the last ID generation.
      * @type {PushIDObject|null}
@@ -167,18 +345,63 @@ export const pushID = (function () {
     let lastIdObj = null;
 
     /**
-     * A simple, fast xor128+ pseudo-random number generator.
+     * The last ID whose time and random part came from the clock and the random source. Monotonic
+     * generation builds on it, so that IDs with an explicit `time`, `randomness` or `data` never
+     * move the monotonic sequence.
+     * @type {PushIDObject|null}
+     */
+    let lastClockObj = null;
+
+    /**
+     * Machine-readable error codes reported by `validate()`.
+     * @type {Object<string, string>}
+     */
+    const VALIDATION_CODES = Object.freeze({
+        NOT_A_STRING: 'NOT_A_STRING',
+        MALFORMED: 'MALFORMED',
+        INVALID_TIME: 'INVALID_TIME',
+        INVALID_STUB: 'INVALID_STUB',
+        INVALID_RANDOMNESS: 'INVALID_RANDOMNESS',
+        RANDOMNESS_TOO_SHORT: 'RANDOMNESS_TOO_SHORT',
+        LEGACY_NOT_ALLOWED: 'LEGACY_NOT_ALLOWED',
+        STUB_MISMATCH: 'STUB_MISMATCH',
+        FUTURE_TIMESTAMP: 'FUTURE_TIMESTAMP',
+        EXPIRED: 'EXPIRED',
+    });
+
+    /**
+     * A simple, fast linear congruential pseudo-random number generator. Only used as a
+     * fallback in environments that lack `crypto.getRandomValues`.
      * @private
      * @returns {number} A random number between 0 and 1.
      */
     const prng = (function () {
-        let seed = (Date.now() >>> 0) % 0xFFFFFFFF;
+        let seed = ((Date.now() ^ Math.floor(Math.random() * 0xFFFFFFFF)) >>> 0) % 0xFFFFFFFF;
         return function () {
             seed = (seed * 1664525 + 1013904223) % 0xFFFFFFFF;
             return seed / 0xFFFFFFFF;
         }
     })();
 
+    /**
+     * The default random source: the platform's cryptographically secure generator when it
+     * exists, otherwise the fallback `prng`.
+     * @private
+     * @type {RandomSource}
+     */
+    const defaultRng = (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function')
+        ? (bytes) => crypto.getRandomValues(bytes)
+        : (bytes) => {
+            for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(prng() * 256);
+            return bytes;
+        };
+
+    /**
+     * Instance-wide defaults, changed through `pushID.configure()`.
+     * @type {PushIDConfig}
+     */
+    const settings = {monotonic: !!monotonic, monotonicMaxDrift, rng: rng || defaultRng, hashVersion};
+
 
     /**
      * The core private function for generating a new pushID object.
@@ -187,34 +410,52 @@ export const pushID = (function () {
      * @returns {PushIDObject} The generated object containing the ID and its parts.
      */
     function _generateObject(options = {}) {
-        const {time, stub = null, length = 12} = options;
-        const randLength = Math.max(12, length);
+        const {time, stub = null, length = randomLength, monotonic = settings.monotonic} = options;
+        const randLength = Math.max(randomLength, length);
+        if (typeof stub === 'string' && stub.includes('-')) {
+            throw new Error(`Invalid stub "${stub}": stubs must not contain the "-" delimiter.`);
+        }
         let now;
         if (time instanceof Date) now = time.getTime();
         else if (typeof time === 'number') now = time;
         else now = Date.now();
-
-        // 1. Encode the timestamp
-        const timeChars = new Array(8);
-        let timestampNow = now;
-        for (let i = 7; i >= 0; i--) {
-            timeChars[i] = PUSH_CHARS.charAt(timestampNow % 64);
-            timestampNow = Math.floor(timestampNow / 64);
+        if (now < epoch || now - epoch >= MAX_TIME) {
+            throw new Error(`The time ${now} cannot be encoded: it must lie between the epoch and ${epoch + MAX_TIME - 1}.`);
         }
 
-        // 2. Generate the random part
+        // 1. Generate the random part
         let randStr;
         if (typeof options.randomness === 'string') {
             randStr = options.randomness;
         } else if (options.data !== undefined) {
-            randStr = hashIsh(options.data, randLength, PUSH_CHARS);
+            const version = options.hashVersion || settings.hashVersion;
+            if (version === 'sha256') throw new Error("The sha256 hash version is asynchronous; use newHashIDAsync().");
+            randStr = hashIsh(options.data, randLength, PUSH_CHARS, version);
         } else {
-            randStr = publicApi.newRnd(randLength);
+            const lastTime = lastClockObj ? lastClockObj.date.getTime() : null;
+            // Unless a drift limit is configured, a clock that was set back keeps building on the
+            // previous ID however far ahead of the clock it lies, so that the order always holds.
+            if (monotonic && time === undefined && lastClockObj && lastTime - now <= settings.monotonicMaxDrift) {
+                // Same millisecond, or the clock moved backwards: stay on the previous timestamp and
+                // increment the previous random part. On overflow, borrow the next millisecond.
+                if (now <= lastTime) {
+                    const incremented = lastClockObj.randomness.length === randLength
+                        ? _incrementRandomness(lastClockObj.randomness)
+                        : null;
+                    if (incremented) {
+                        now = lastTime;
+                        randStr = incremented;
+                    } else if (lastTime + 1 - epoch < MAX_TIME) {
+                        now = lastTime + 1;
+                    }
+                }
+            }
+            if (randStr === undefined) randStr = publicApi.newRnd(randLength, {rng: options.rng});
         }
 
-        // 3. Assemble the ID
+        // 2. Assemble the ID
         const useDelimitedFormat = stub && typeof stub === 'string';
-        const idParts = [timeChars.join('')];
+        const idParts = [_encodeTime(now)];
         if (useDelimitedFormat) idParts.push(stub);
         idParts.push(randStr);
 
@@ -225,9 +466,54 @@ export const pushID = (function () {
             stub: useDelimitedFormat ? stub : null
         };
         lastIdObj = newObj;
+        if (time === undefined && typeof options.randomness !== 'string' && options.data === undefined) {
+            lastClockObj = newObj;
+        }
+        if (options.opaqueKey) return {...newObj, opaqueId: _opaque(newObj.id, options.opaqueKey, false)};
         return newObj;
     }
 
+    /**
+     * Draws `length` characters from `PUSH_CHARS` using the given random source. Bytes that
+     * would introduce modulo bias are rejected and redrawn, so every character is equally likely.
+     * @private
+     * @param {number} length - The number of characters to produce.
+     * @param {RandomSource} rng - The random source to draw bytes from.
+     * @returns {string} The random string.
+     */
+    function _randomChars(length, rng) {
+        const limit = 256 - (256 % BASE);
+        const chars = [];
+        while (chars.length < length) {
+            const bytes = rng(new Uint8Array(length - chars.length));
+            for (let i = 0; i < bytes.length && chars.length < length; i++) {
+                if (bytes[i] < limit) chars.push(PUSH_CHARS.charAt(bytes[i] % BASE));
+            }
+        }
+        return chars.join('');
+    }
+
+    /**
+     * Increments a random part by one, treating it as a base-`BASE` number over `PUSH_CHARS`.
+     * @private
+     * @param {string} randStr - The random part of the previous ID.
+     * @returns {string|null} The incremented string of the same length, or null if it
+     * overflowed or contains characters outside of `PUSH_CHARS`.
+     */
+    function _incrementRandomness(randStr) {
+        const chars = randStr.split('');
+        for (let i = chars.length - 1; i >= 0; i--) {
+            const charValue = CHARS_MAP[chars[i]];
+            if (charValue === undefined) return null;
+            if (charValue < BASE - 1) {
+                chars[i] = PUSH_CHARS.charAt(charValue + 1);
+                return chars.join('');
+            }
+            chars[i] = PUSH_CHARS.charAt(0);
+        }
+        return null;
+    }
+
     /**
      * Decodes a pushID into its constituent parts.
      * @private
@@ -244,9 +530,9 @@ export const pushID = (function () {
             if (timestamp === null) return null;
             return {id, randomness: randStr, date: new Date(timestamp), stub, encodedTime: timeStr};
         } else { // Legacy, non-delimited format
-            if (id.length < 8) return null;
-            const timeStr = id.substring(0, 8);
-            const randStr = id.substring(8);
+            if (id.length < timeLength) return null;
+            const timeStr = id.substring(0, timeLength);
+            const randStr = id.substring(timeLength);
             const timestamp = _decodeTime(timeStr);
             if (timestamp === null) return null;
             return {id, randomness: randStr, date: new Date(timestamp), stub: null, encodedTime: timeStr};
@@ -254,9 +540,108 @@ export const pushID = (function () {
     }
 
     /**
-     * Decodes an 8-character encoded timestamp string into milliseconds.
+     * Strictly validates a pushID. Unlike `_decodeObj`, it checks the position of the
+     * delimiters, the alphabet and length of every part, and the plausibility of the timestamp.
      * @private
-     * @param {string} timeStr - The 8-character encoded time string.
+     * @param {*} id - The value to validate.
+     * @param {ValidationOptions} [options={}] - The validation rules.
+     * @returns {ValidationResult} The validation result.
+     */
+    function _validate(id, options = {}) {
+        const {stub, minLength = randomLength, maxAge, allowLegacy = true, clockSkew = 60 * 1000} = options;
+        const errors = [];
+        const fail = (code, message) => {
+            errors.push({code, message});
+            return {valid: false, errors, decoded: null};
+        };
+
+        if (typeof id !== 'string') return fail(VALIDATION_CODES.NOT_A_STRING, 'The ID must be a string.');
+        if (id.length < timeLength) return fail(VALIDATION_CODES.MALFORMED, 'The ID is shorter than its timestamp.');
+
+        // Locate the parts. Neither the timestamp nor the random part can contain a "-", so a
+        // delimited ID has exactly two, the first directly after the timestamp.
+        const timeStr = id.substring(0, timeLength);
+        const dashCount = id.split('-').length - 1;
+        let idStub = null;
+        let randStr;
+        if (dashCount === 0) {
+            randStr = id.substring(timeLength);
+        } else if (dashCount === 2 && id[timeLength] === '-') {
+            const lastDash = id.lastIndexOf('-');
+            idStub = id.substring(timeLength + 1, lastDash);
+            randStr = id.substring(lastDash + 1);
+            if (idStub.length === 0) return fail(VALIDATION_CODES.INVALID_STUB, 'The stub is empty.');
+        } else {
+            return fail(VALIDATION_CODES.MALFORMED, 'The ID does not match [timestamp]-[stub]-[randomness] or the legacy format.');
+        }
+
+        const timestamp = _decodeTime(timeStr);
+        if (timestamp === null) return fail(VALIDATION_CODES.INVALID_TIME, 'The timestamp contains invalid characters.');
+
+        for (let i = 0; i < randStr.length; i++) {
+            if (CHARS_MAP[randStr[i]] === undefined) {
+                errors.push({code: VALIDATION_CODES.INVALID_RANDOMNESS, message: 'The random part contains invalid characters.'});
+                break;
+            }
+        }
+        if (randStr.length < minLength) {
+            errors.push({code: VALIDATION_CODES.RANDOMNESS_TOO_SHORT, message: `The random part is shorter than ${minLength} characters.`});
+        }
+
+        if (idStub === null && !allowLegacy) {
+            errors.push({code: VALIDATION_CODES.LEGACY_NOT_ALLOWED, message: 'Legacy IDs are not allowed.'});
+        }
+        if (stub !== undefined && (stub || null) !== idStub) {
+            errors.push({code: VALIDATION_CODES.STUB_MISMATCH, message: `Expected stub ${stub ? `"${stub}"` : 'none'} but found ${idStub ? `"${idStub}"` : 'none'}.`});
+        }
+
+        const age = Date.now() - timestamp;
+        if (age < -clockSkew) {
+            errors.push({code: VALIDATION_CODES.FUTURE_TIMESTAMP, message: 'The timestamp lies in the future.'});
+        } else if (typeof maxAge === 'number' && age > maxAge) {
+            errors.push({code: VALIDATION_CODES.EXPIRED, message: `The ID is older than ${maxAge}ms.`});
+        }
+
+        const decoded = {id, randomness: randStr, date: new Date(timestamp), stub: idStub, encodedTime: timeStr};
+        return {valid: errors.length === 0, errors, decoded};
+    }
+
+    /**
+     * Encodes a timestamp in milliseconds into its fixed-length sortable representation.
+     * @private
+     * @param {number} timestamp - The timestamp in milliseconds since the UNIX epoch.
+     * @returns {string} The encoded time string, `timeLength` characters long.
+     */
+    function _encodeTime(timestamp) {
+        const timeChars = new Array(timeLength);
+        let offset = timestamp - epoch;
+        for (let i = timeLength - 1; i >= 0; i--) {
+            timeChars[i] = PUSH_CHARS.charAt(offset % BASE);
+            offset = Math.floor(offset / BASE);
+        }
+        return timeChars.join('');
+    }
+
+    /**
+     * Converts a `number|Date` time option into milliseconds.
+     * @private
+     * @param {number|Date} time - The time to convert.
+     * @param {string} name - The option name, used in error messages.
+     * @returns {number} The time in milliseconds.
+     * @throws {Error} If the time is not a number or Date within the encodable range.
+     */
+    function _toTimestamp(time, name) {
+        const timestamp = time instanceof Date ? time.getTime() : time;
+        if (typeof timestamp !== 'number' || !Number.isInteger(timestamp) || timestamp < epoch || timestamp - epoch >= MAX_TIME) {
+            throw new Error(`The ${name} option must be a Date or a millisecond timestamp between ${epoch} and ${epoch + MAX_TIME - 1}.`);
+        }
+        return timestamp;
+    }
+
+    /**
+     * Decodes an encoded timestamp string into milliseconds.
+     * @private
+     * @param {string} timeStr - The encoded time string.
      * @returns {number|null} The timestamp in milliseconds, or null if invalid.
      */
     function _decodeTime(timeStr) {
@@ -264,16 +649,347 @@ export const pushID = (function () {
         for (let i = 0; i < timeStr.length; i++) {
             const charValue = CHARS_MAP[timeStr[i]];
             if (charValue === undefined) return null; // Invalid character
-            timestamp = timestamp * 64 + charValue;
+            timestamp = timestamp * BASE + charValue;
         }
-        return timestamp;
+        return timestamp + epoch;
+    }
+
+    /**
+     * Builds an ID from its parts without touching `lastIdObj`.
+     * @private
+     * @param {number} timestamp - The timestamp in milliseconds since the UNIX epoch.
+     * @param {string|null} stub - The stub, or null for a legacy ID.
+     * @param {string} randStr - The random part.
+     * @returns {string} The assembled ID.
+     */
+    function _buildID(timestamp, stub, randStr) {
+        if (typeof stub === 'string' && stub.includes('-')) {
+            throw new Error(`Invalid stub "${stub}": stubs must not contain the "-" delimiter.`);
+        }
+        const timeStr = _encodeTime(_toTimestamp(timestamp, 'time'));
+        return stub ? `${timeStr}-${stub}-${randStr}` : timeStr + randStr;
+    }
+
+    /**
+     * Checks whether a timestamp can be encoded by this instance, i.e. lies within its epoch range.
+     * @private
+     * @param {number} timestamp - The timestamp in milliseconds.
+     * @returns {boolean} True if `_buildID` accepts the timestamp.
+     */
+    function _inRange(timestamp) {
+        return Number.isInteger(timestamp) && timestamp >= epoch && timestamp - epoch < MAX_TIME;
+    }
+
+    /**
+     * Throws unless the alphabet's size is a power of two, which binary conversions require.
+     * @private
+     * @throws {Error} If the alphabet cannot be mapped onto whole bits.
+     */
+    function _requireBits() {
+        if (BITS_PER_CHAR === null) {
+            throw new Error("Binary conversions require an alphabet whose size is a power of two.");
+        }
+    }
+
+    /**
+     * Reads the first `bitCount` bits of a random part, padding with zero bits if it is shorter.
+     * @private
+     * @param {string} randStr - The random part.
+     * @param {number} bitCount - The number of bits to read.
+     * @returns {bigint|null} The bits as an unsigned integer, or null if a character is invalid.
+     */
+    function _randomnessToBits(randStr, bitCount) {
+        let value = 0n;
+        for (let i = 0; i < randStr.length; i++) {
+            const charValue = CHARS_MAP[randStr[i]];
+            if (charValue === undefined) return null;
+            value = (value << BigInt(BITS_PER_CHAR)) | BigInt(charValue);
+        }
+        const available = randStr.length * BITS_PER_CHAR;
+        return available >= bitCount
+            ? value >> BigInt(available - bitCount)
+            : value << BigInt(bitCount - available);
+    }
+
+    /**
+     * Encodes `bitCount` bits as a random part, padding the last character with zero bits.
+     * @private
+     * @param {bigint} value - The bits as an unsigned integer.
+     * @param {number} bitCount - The number of significant bits in `value`.
+     * @returns {string} The random part.
+     */
+    function _bitsToRandomness(value, bitCount) {
+        const length = Math.ceil(bitCount / BITS_PER_CHAR);
+        const mask = BigInt(BASE - 1);
+        let padded = value << BigInt(length * BITS_PER_CHAR - bitCount);
+        const chars = new Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            chars[i] = PUSH_CHARS.charAt(Number(padded & mask));
+            padded >>= BigInt(BITS_PER_CHAR);
+        }
+        return chars.join('');
+    }
+
+    /**
+     * Converts a pushID to a UUIDv7.
+     * @private
+     * @param {string} id - The pushID.
+     * @returns {string|null} The UUIDv7, or null if the ID is invalid.
+     */
+    function _toUUIDv7(id) {
+        _requireBits();
+        const d = _decodeObj(id);
+        if (!d) return null;
+        const timestamp = d.date.getTime();
+        const rand = _randomnessToBits(d.randomness, 74);
+        if (rand === null || timestamp < 0 || timestamp >= 2 ** 48) return null;
+        const value = (BigInt(timestamp) << 80n)
+            | (7n << 76n)
+            | ((rand >> 62n) << 64n)
+            | (2n << 62n)
+            | (rand & ((1n << 62n) - 1n));
+        const hex = value.toString(16).padStart(32, '0');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Converts a UUIDv7 to a pushID.
+     * @private
+     * @param {string} uuid - The UUIDv7.
+     * @param {string|null} stub - The stub for the pushID.
+     * @returns {string|null} The pushID, or null if the input is not a UUIDv7 or its time is out of range.
+     */
+    function _fromUUIDv7(uuid, stub) {
+        _requireBits();
+        if (typeof uuid !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(uuid)) {
+            return null;
+        }
+        const value = BigInt('0x' + uuid.replace(/-/g, ''));
+        const timestamp = Number(value >> 80n);
+        if (!_inRange(timestamp)) return null;
+        const rand = (((value >> 64n) & 0xFFFn) << 62n) | (value & ((1n << 62n) - 1n));
+        return _buildID(timestamp, stub, _bitsToRandomness(rand, 74));
+    }
+
+    /**
+     * Converts a pushID to a ULID.
+     * @private
+     * @param {string} id - The pushID.
+     * @returns {string|null} The ULID, or null if the ID is invalid.
+     */
+    function _toULID(id) {
+        _requireBits();
+        const d = _decodeObj(id);
+        if (!d) return null;
+        const timestamp = d.date.getTime();
+        const rand = _randomnessToBits(d.randomness, 80);
+        if (rand === null || timestamp < 0 || timestamp >= 2 ** 48) return null;
+        let value = (BigInt(timestamp) << 80n) | rand;
+        const chars = new Array(26);
+        for (let i = 25; i >= 0; i--) {
+            chars[i] = CROCKFORD_CHARS.charAt(Number(value & 31n));
+            value >>= 5n;
+        }
+        return chars.join('');
+    }
+
+    /**
+     * Converts a ULID to a pushID.
+     * @private
+     * @param {string} ulid - The ULID. Decoding is case-insensitive and accepts Crockford's aliases.
+     * @param {string|null} stub - The stub for the pushID.
+     * @returns {string|null} The pushID, or null if the input is not a ULID or its time is out of range.
+     */
+    function _fromULID(ulid, stub) {
+        _requireBits();
+        if (typeof ulid !== 'string' || ulid.length !== 26) return null;
+        const normalized = ulid.toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0');
+        let value = 0n;
+        for (let i = 0; i < 26; i++) {
+            const charValue = CROCKFORD_CHARS.indexOf(normalized[i]);
+            if (charValue === -1) return null;
+            value = (value << 5n) | BigInt(charValue);
+        }
+        if (value >> 128n) return null; // The first character encodes only 3 bits.
+        const timestamp = Number(value >> 80n);
+        if (!_inRange(timestamp)) return null;
+        return _buildID(timestamp, stub, _bitsToRandomness(value & ((1n << 80n) - 1n), 80));
+    }
+
+    /**
+     * Extracts the creation time from a Snowflake ID.
+     * @private
+     * @param {string|number|bigint} snowflake - The Snowflake ID.
+     * @param {SnowflakeOptions} options - The Snowflake layout.
+     * @returns {number|null} The timestamp in milliseconds, or null if the input is invalid.
+     */
+    function _snowflakeTime(snowflake, options) {
+        const {epoch: snowflakeEpoch = 1288834974657, shift = 22} = options;
+        let value;
+        try {
+            value = BigInt(snowflake);
+        } catch (e) {
+            return null;
+        }
+        if (value < 0n || value >= (1n << 64n)) return null;
+        return Number(value >> BigInt(shift)) + snowflakeEpoch;
     }
 
     /**
-     * The public API object returned by the IIFE.
+     * Packs a decoded ID into its compact binary form.
+     * @private
+     * @param {DecodedPushIDObject|string} input - A decoded ID, or an ID to decode.
+     * @returns {Uint8Array|null} The bytes, or null if the input is invalid.
+     */
+    function _toBytes(input) {
+        _requireBits();
+        const d = typeof input === 'string' ? _decodeObj(input) : input;
+        if (!d || !(d.date instanceof Date)) return null;
+        const timestamp = d.date.getTime();
+        const stubBytes = new TextEncoder().encode(d.stub || '');
+        const randLength = d.randomness.length;
+        const rand = _randomnessToBits(d.randomness, randLength * BITS_PER_CHAR);
+        if (rand === null || !(timestamp >= 0 && timestamp < 2 ** 48) || stubBytes.length > 255 || randLength > 255) {
+            return null;
+        }
+
+        const randByteLength = Math.ceil(randLength * BITS_PER_CHAR / 8);
+        const bytes = new Uint8Array(1 + 6 + 1 + stubBytes.length + 1 + randByteLength);
+        let offset = 0;
+        bytes[offset++] = 1; // Format version
+        for (let i = 5; i >= 0; i--) bytes[offset++] = Math.floor(timestamp / 2 ** (i * 8)) & 255;
+        bytes[offset++] = stubBytes.length;
+        bytes.set(stubBytes, offset);
+        offset += stubBytes.length;
+        bytes[offset++] = randLength;
+        let padded = rand << BigInt(randByteLength * 8 - randLength * BITS_PER_CHAR);
+        for (let i = bytes.length - 1; i >= offset; i--) {
+            bytes[i] = Number(padded & 255n);
+            padded >>= 8n;
+        }
+        return bytes;
+    }
+
+    /**
+     * Unpacks the binary form produced by `_toBytes`.
+     * @private
+     * @param {Uint8Array} bytes - The bytes.
+     * @returns {DecodedPushIDObject|null} The decoded ID, or null if the bytes are invalid.
+     */
+    function _fromBytes(bytes) {
+        _requireBits();
+        if (!(bytes instanceof Uint8Array) || bytes.length < 9 || bytes[0] !== 1) return null;
+        let offset = 1;
+        let timestamp = 0;
+        for (let i = 0; i < 6; i++) timestamp = timestamp * 256 + bytes[offset++];
+        const stubLength = bytes[offset++];
+        if (offset + stubLength + 1 > bytes.length) return null;
+        const stub = new TextDecoder().decode(bytes.subarray(offset, offset + stubLength));
+        offset += stubLength;
+        const randLength = bytes[offset++];
+        const randByteLength = Math.ceil(randLength * BITS_PER_CHAR / 8);
+        if (offset + randByteLength !== bytes.length) return null;
+        let value = 0n;
+        for (let i = offset; i < bytes.length; i++) value = (value << 8n) | BigInt(bytes[i]);
+        const randStr = _bitsToRandomness(value >> BigInt(randByteLength * 8 - randLength * BITS_PER_CHAR), randLength * BITS_PER_CHAR);
+        if (!_inRange(timestamp)) return null;
+        try {
+            return _decodeObj(_buildID(timestamp, stub || null, randStr));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * The number of Feistel rounds used by the opaque mode.
+     * @type {number}
+     */
+    const OPAQUE_ROUNDS = 10;
+
+    /**
+     * The keyed round function of the opaque mode's Feistel network: derives `length` digits from
+     * the key, the stub (as a tweak), the round number and the other half of the digits. It uses
+     * hash version 2, whose output does not repeat; it is still not a keyed pseudorandom function.
+     * @private
+     * @param {string} key - The secret key.
+     * @param {string|null} tweak - The stub of the ID.
+     * @param {number} round - The round number.
+     * @param {number[]} half - The digits of the other half.
+     * @param {number} length - The number of digits to derive.
+     * @returns {number[]} The derived digits.
+     */
+    function _opaqueRound(key, tweak, round, half, length) {
+        const chars = hashIsh([key, tweak, round, half], Math.max(12, length), PUSH_CHARS, 2);
+        const digits = [];
+        for (let i = 0; i < length; i++) digits.push(CHARS_MAP[chars[i]]);
+        return digits;
+    }
+
+    /**
+     * Converts between an ID and its opaque form with a balanced Feistel network over the digits
+     * of the timestamp and random part. Digits are combined by addition modulo `BASE`, so the
+     * output uses the same alphabet and lengths as the input. The stub is left untouched.
+     * @private
+     * @param {string} id - The ID (or opaque ID, when revealing).
+     * @param {string} key - The secret key.
+     * @param {boolean} reveal - False to hide the ID, true to reveal it.
+     * @returns {string|null} The converted ID, or null if the input is invalid.
+     */
+    function _opaque(id, key, reveal) {
+        if (typeof key !== 'string' || key.length === 0) throw new Error("An opaque key must be a non-empty string.");
+        const d = _decodeObj(id);
+        if (!d) return null;
+        const digits = (d.encodedTime + d.randomness).split('').map(c => CHARS_MAP[c]);
+        if (digits.some(v => v === undefined)) return null;
+
+        const split = Math.floor(digits.length / 2);
+        const halves = [digits.slice(0, split), digits.slice(split)];
+        const sign = reveal ? -1 : 1;
+        for (let n = 0; n < OPAQUE_ROUNDS; n++) {
+            const round = reveal ? OPAQUE_ROUNDS - 1 - n : n;
+            const target = halves[round % 2];
+            const mask = _opaqueRound(key, d.stub, round, halves[(round + 1) % 2], target.length);
+            for (let i = 0; i < target.length; i++) target[i] = (target[i] + sign * mask[i] + BASE) % BASE;
+        }
+
+        const chars = halves[0].concat(halves[1]).map(v => PUSH_CHARS.charAt(v)).join('');
+        const timeStr = chars.substring(0, timeLength);
+        const randStr = chars.substring(timeLength);
+        return d.stub ? `${timeStr}-${d.stub}-${randStr}` : timeStr + randStr;
+    }
+
+    /**
+     * Decodes an ID, first revealing it if an opaque key is given.
+     * @private
+     * @param {string} id - The ID or opaque ID.
+     * @param {DecodeOptions} [options={}] - The decode options.
+     * @returns {DecodedPushIDObject|null} The decoded object, or null if the ID is invalid.
+     */
+    function _decodeWithOptions(id, options = {}) {
+        if (!options.opaqueKey) return _decodeObj(id);
+        const revealed = _opaque(id, options.opaqueKey, true);
+        const d = revealed ? _decodeObj(revealed) : null;
+        return d ? {...d, opaqueId: id} : null;
+    }
+
+    /**
+     * The public API object returned by the factory.
      * @type {object}
      */
     const publicApi = {
+        /**
+         * Creates an independent pushID generator with its own configuration and state.
+         * @param {PushIDFactoryOptions} [options] - Configuration for the generator.
+         * @returns {object} A new pushID generator with the same API.
+         */
+        create: (options) => createPushID(options),
+
+        /**
+         * The read-only configuration of this generator.
+         * @type {{alphabet: string, randomLength: number, timeLength: number, epoch: number}}
+         */
+        config: Object.freeze({alphabet: PUSH_CHARS, randomLength, timeLength, epoch}),
+
         /**
          * Generates a new pushID string.
          * @param {PushIDOptions} [options] - Configuration for the ID.
@@ -281,17 +997,24 @@ export const pushID = (function () {
          * @example
          * // Generate a standard ID (legacy format)
          * const id1 = pushID.newID({ stub: null });
-         * // -> "0QZ7qAbkL9xZ~_bVn2m"
+         * // -> "0PX5f2p7kL9xZ~_bVn2m"
          *
          * // Generate an ID with a custom "user" stub
          * const id2 = pushID.newID({ stub: 'user' });
-         * // -> "0QZ7qB1-user-bVn2mkL9xZ~_"
+         * // -> "0PX5f3qu-user-bVn2mkL9xZ~_"
          *
          * // Generate an ID with a specific length
          * const id3 = pushID.newID({ stub: 'post', length: 16 });
-         * // -> "0QZ7qC9-post-kL9xZ~_bVn2mkL9"
+         * // -> "0PX5f58u-post-kL9xZ~_bVn2mkL9"
+         *
+         * // Generate a public ID that does not reveal its creation time
+         * const id4 = pushID.newID({ stub: 'order', opaqueKey: env.OPAQUE_SECRET });
+         * // -> "k3v_Q9Za-order-0Bq~fX1mPa7s"
          */
-        newID: (options) => _generateObject(options).id,
+        newID: (options = {}) => {
+            const obj = _generateObject(options);
+            return options.opaqueKey ? obj.opaqueId : obj.id;
+        },
 
         /**
          * Generates a new pushID and returns it as a full object.
@@ -300,7 +1023,7 @@ export const pushID = (function () {
          * @example
          * const idObject = pushID.newObj({ stub: 'event' });
          * // -> {
-         * //      id: "0QZ7qDq-event-bVn2mkL9xZ~_",
+         * //      id: "0PX5f6GB-event-bVn2mkL9xZ~_",
          * //      randomness: "bVn2mkL9xZ~_",
          * //      date: Date object,
          * //      stub: "event"
@@ -308,6 +1031,31 @@ export const pushID = (function () {
          */
         newObj: (options) => _generateObject(options),
 
+        /**
+         * Changes the defaults used by every subsequent generation call on this instance.
+         * @param {PushIDConfig} [config] - The settings to change.
+         * @returns {object} The `pushID` object, for chaining.
+         * @example
+         * // Guarantee strict ordering for IDs created in the same millisecond
+         * pushID.configure({ monotonic: true });
+         * pushID.newID() < pushID.newID(); // -> always true
+         */
+        configure: (config = {}) => {
+            if (config.monotonic !== undefined) settings.monotonic = !!config.monotonic;
+            if (config.monotonicMaxDrift !== undefined) {
+                _checkMaxDrift(config.monotonicMaxDrift);
+                settings.monotonicMaxDrift = config.monotonicMaxDrift;
+            }
+            if (config.hashVersion !== undefined) settings.hashVersion = config.hashVersion;
+            if (config.rng !== undefined) {
+                if (config.rng !== null && typeof config.rng !== 'function') {
+                    throw new Error("The rng option must be a function or null.");
+                }
+                settings.rng = config.rng || defaultRng;
+            }
+            return publicApi;
+        },
+
         /**
          * Returns the previously generated ID string.
          * @returns {string|null} The last ID generated, or null if none.
@@ -332,79 +1080,396 @@ export const pushID = (function () {
          */
         newHashID: (options = {}) => publicApi.newID(options),
 
+        /**
+         * The asynchronous variant of `newHashID()`, which additionally supports the `'sha256'`
+         * hash version.
+         * @param {PushIDOptions} options - Configuration object. Must include a `data` property.
+         * @returns {Promise<string>} A new, deterministically generated pushID.
+         * @example
+         * const key = await pushID.newHashIDAsync({ data: order, stub: 'idem', length: 24, hashVersion: 'sha256' });
+         */
+        newHashIDAsync: async (options = {}) => {
+            const length = Math.max(randomLength, options.length === undefined ? randomLength : options.length);
+            const randomness = await hashIshAsync(options.data, length, PUSH_CHARS, options.hashVersion || settings.hashVersion);
+            return publicApi.newID({...options, data: undefined, randomness});
+        },
+
         /**
          * Decodes a pushID into a full object containing its parts. Returns null on error.
          * @param {string} id - The pushID to decode.
+         * @param {DecodeOptions} [options] - Pass `opaqueKey` to decode an opaque ID.
          * @returns {DecodedPushIDObject|null} The decoded object, or null if invalid.
          */
-        decodeID: (id) => _decodeObj(id),
+        decodeID: (id, options) => _decodeWithOptions(id, options),
 
         /**
          * Decodes a pushID within a try-catch block, ensuring it never throws.
          * @param {string} id - The pushID to decode.
+         * @param {DecodeOptions} [options] - Pass `opaqueKey` to decode an opaque ID.
          * @returns {DecodedPushIDObject|null} The decoded object, or null if an error occurs.
          * @example
-         * const decoded = pushID.tryDecodeID("0QZ7qB1-user-bVn2mkL9xZ~_");
+         * const decoded = pushID.tryDecodeID("0PX5f3qu-user-bVn2mkL9xZ~_");
          * if (decoded) {
          * console.log(decoded.date.getFullYear()); // 2025
          * console.log(decoded.stub); // "user"
          * }
          */
-        tryDecodeID: (id) => {
+        tryDecodeID: (id, options) => {
             try {
-                return _decodeObj(id);
+                return _decodeWithOptions(id, options);
             } catch (e) {
                 return null;
             }
         },
 
+        /**
+         * Strictly validates a pushID, e.g. one read from a cookie or request parameter.
+         * @param {*} id - The value to validate.
+         * @param {ValidationOptions} [options] - The validation rules.
+         * @returns {ValidationResult} The result, with machine-readable error codes.
+         * @example
+         * const result = pushID.validate(req.query.orderId, { stub: 'order', maxAge: 86400000 });
+         * if (!result.valid) {
+         * console.log(result.errors[0].code); // e.g. "STUB_MISMATCH"
+         * }
+         */
+        validate: (id, options) => _validate(id, options),
+
+        /**
+         * Returns true if a pushID passes `validate()` with the given rules.
+         * @param {*} id - The value to validate.
+         * @param {ValidationOptions} [options] - The validation rules.
+         * @returns {boolean} True if the ID is valid.
+         */
+        isValid: (id, options) => _validate(id, options).valid,
+
+        /**
+         * The error codes reported by `validate()`.
+         * @type {Object<string, string>}
+         */
+        VALIDATION_CODES,
+
+        /**
+         * Returns the key bounds of every ID created within a time window, for lexicographic
+         * range scans in key-value and SQL stores.
+         * @param {RangeOptions} [options] - The time window and ID format.
+         * @returns {PushIDRange} The key bounds.
+         * @throws {Error} If a time is out of range or `from` is after `to`.
+         * @example
+         * const day = pushID.range({ from: new Date('2025-08-01'), to: new Date('2025-08-02') - 1, stub: 'order' });
+         * // SQL: SELECT * FROM orders WHERE id BETWEEN ?1 AND ?2  -- day.start, day.end
+         * // Durable Object storage: storage.list({ start: day.start, end: day.endExclusive })
+         */
+        range: (options = {}) => {
+            const {from = epoch, to = Date.now(), stub = null, length = randomLength} = options;
+            const fromTime = _toTimestamp(from, 'from');
+            const toTime = _toTimestamp(to, 'to');
+            if (fromTime > toTime) throw new Error("The from option must not be after the to option.");
+            if (typeof stub === 'string' && stub.includes('-')) {
+                throw new Error(`Invalid stub "${stub}": stubs must not contain the "-" delimiter.`);
+            }
+            const stubPart = stub ? `-${stub}-` : '';
+            const maxRandomness = PUSH_CHARS.charAt(BASE - 1).repeat(Math.max(randomLength, length));
+            return {
+                start: _encodeTime(fromTime) + stubPart,
+                end: _encodeTime(toTime) + stubPart + maxRandomness,
+                endExclusive: toTime + 1 - epoch < MAX_TIME ? _encodeTime(toTime + 1) : _encodeTime(toTime) + PUSH_CHARS.charAt(BASE - 1),
+            };
+        },
+
+        /**
+         * Derives a UTC time bucket key from an ID, for partitioning records by hour, day, etc.
+         * @param {string} id - The pushID.
+         * @param {'hour'|'day'|'month'|'year'} [unit='day'] - The size of the bucket.
+         * @returns {string|null} The bucket key (e.g. "2025-08-15" or "2025-08-15T13"), or null if the ID is invalid.
+         * @example
+         * pushID.bucket("0PX5f3qu-user-bVn2mkL9xZ~_", 'hour'); // -> "2025-07-26T07"
+         */
+        bucket: (id, unit = 'day') => {
+            const lengths = {hour: 13, day: 10, month: 7, year: 4};
+            if (!lengths[unit]) throw new Error(`Unknown bucket unit "${unit}".`);
+            const d = publicApi.tryDecodeID(id);
+            if (!d || isNaN(d.date.getTime())) return null;
+            return d.date.toISOString().substring(0, lengths[unit]);
+        },
+
         /**
          * Decodes a pushID and returns its creation time in milliseconds since the UNIX epoch.
          * @param {string} id - The pushID to decode.
+         * @param {DecodeOptions} [options] - Pass `opaqueKey` to decode an opaque ID.
          * @returns {number|null} The timestamp in milliseconds, or null if invalid.
          */
-        decodeTime: (id) => {
-            const d = publicApi.tryDecodeID(id);
+        decodeTime: (id, options) => {
+            const d = publicApi.tryDecodeID(id, options);
             return d ? d.date.getTime() : null;
         },
 
         /**
          * Decodes a pushID and returns its creation time as a Date object.
          * @param {string} id - The pushID to decode.
+         * @param {DecodeOptions} [options] - Pass `opaqueKey` to decode an opaque ID.
          * @returns {Date|null} The creation date of the ID, or null if invalid.
          */
-        decodeDate: (id) => {
-            const d = publicApi.tryDecodeID(id);
+        decodeDate: (id, options) => {
+            const d = publicApi.tryDecodeID(id, options);
             return d ? d.date : null;
         },
 
+        /**
+         * Converts a pushID to a UUIDv7. The timestamp is preserved exactly. The stub is dropped,
+         * and the first 74 bits of the random part fill the UUID's random bits (shorter random
+         * parts are padded with zero bits, longer ones are truncated).
+         * @param {string} id - The pushID to convert.
+         * @returns {string|null} The UUIDv7, or null if the ID is invalid.
+         * @example
+         * pushID.toUUIDv7("0PX5f3qu-user-bVn2mkL9xZ~_"); // -> "019845a8-3d79-7...-..."
+         */
+        toUUIDv7: (id) => _toUUIDv7(id),
+
+        /**
+         * Converts a UUIDv7 to a pushID with a 13-character random part. The conversion is
+         * lossless: `toUUIDv7(fromUUIDv7(uuid))` returns the original UUID (in lower case).
+         * @param {string} uuid - The UUIDv7 to convert.
+         * @param {{stub: (string|null)}} [options] - The stub for the new pushID.
+         * @returns {string|null} The pushID, or null if the input is not a UUIDv7 or its time is outside
+         * this instance's epoch range.
+         */
+        fromUUIDv7: (uuid, options = {}) => _fromUUIDv7(uuid, options.stub || null),
+
+        /**
+         * Converts a pushID to a ULID. The timestamp is preserved exactly. The stub is dropped,
+         * and the first 80 bits of the random part fill the ULID's randomness (shorter random
+         * parts are padded with zero bits, longer ones are truncated).
+         * @param {string} id - The pushID to convert.
+         * @returns {string|null} The ULID, or null if the ID is invalid.
+         */
+        toULID: (id) => _toULID(id),
+
+        /**
+         * Converts a ULID to a pushID with a 14-character random part. The conversion is
+         * lossless: `toULID(fromULID(ulid))` returns the original ULID (in canonical upper case).
+         * @param {string} ulid - The ULID to convert.
+         * @param {{stub: (string|null)}} [options] - The stub for the new pushID.
+         * @returns {string|null} The pushID, or null if the input is not a ULID or its time is outside
+         * this instance's epoch range.
+         */
+        fromULID: (ulid, options = {}) => _fromULID(ulid, options.stub || null),
+
+        /**
+         * Extracts the creation time from a Snowflake ID.
+         * @param {string|number|bigint} snowflake - The Snowflake ID. Pass large IDs as strings or
+         * BigInts, since numbers above 2^53 lose precision.
+         * @param {SnowflakeOptions} [options] - The Snowflake layout.
+         * @returns {number|null} The timestamp in milliseconds, or null if the input is invalid.
+         * @example
+         * pushID.snowflakeTime('175928847299117063', { epoch: 1420070400000 }); // Discord
+         */
+        snowflakeTime: (snowflake, options = {}) => _snowflakeTime(snowflake, options),
+
+        /**
+         * Converts a Snowflake ID to a pushID with the same timestamp. The conversion is lossy:
+         * the random part is a hash of the Snowflake, so the worker and sequence bits cannot be
+         * recovered, but the same Snowflake always maps to the same pushID.
+         * @param {string|number|bigint} snowflake - The Snowflake ID.
+         * @param {SnowflakeOptions} [options] - The Snowflake layout and the stub for the pushID.
+         * @returns {string|null} The pushID, or null if the input is invalid or its time is outside this
+         * instance's epoch range.
+         */
+        fromSnowflake: (snowflake, options = {}) => {
+            const timestamp = _snowflakeTime(snowflake, options);
+            if (timestamp === null || !_inRange(timestamp)) return null;
+            return _buildID(timestamp, options.stub || null, hashIsh(BigInt(snowflake).toString(), randomLength, PUSH_CHARS, 1));
+        },
+
+        /**
+         * Packs a pushID into a compact, lossless binary form: a version byte, a 48-bit
+         * timestamp, the UTF-8 stub with its length, and the random part at 6 bits per character
+         * (log2 of the alphabet size for custom alphabets).
+         * @param {DecodedPushIDObject|string} input - A result of `decodeID()`, or an ID to decode.
+         * @returns {Uint8Array|null} The bytes, or null if the input is invalid.
+         */
+        toBytes: (input) => _toBytes(input),
+
+        /**
+         * Unpacks the binary form produced by `toBytes()`.
+         * @param {Uint8Array} bytes - The bytes.
+         * @returns {DecodedPushIDObject|null} The decoded ID, or null if the bytes are invalid or their time is
+         * outside this instance's epoch range.
+         */
+        fromBytes: (bytes) => _fromBytes(bytes),
+
+        /**
+         * Converts a sortable pushID into an opaque, public form that neither sorts by time nor
+         * reveals its timestamp. The opaque ID keeps the stub and the shape of a pushID, and is
+         * mapped back with `fromOpaque()` and the same key.
+         *
+         * This is obfuscation, not encryption: a keyed Feistel network over the ID's characters,
+         * built on the library's non-cryptographic hash. It hides creation times from casual
+         * inspection, but an attacker with enough IDs may recover timestamps or the mapping. Do not
+         * rely on it to protect data that must stay secret.
+         * @param {string} id - The sortable pushID.
+         * @param {string} key - The secret key.
+         * @returns {string|null} The opaque ID, or null if the ID is invalid.
+         * @example
+         * const publicId = pushID.toOpaque(orderId, env.OPAQUE_SECRET);
+         * pushID.fromOpaque(publicId, env.OPAQUE_SECRET) === orderId; // -> true
+         */
+        toOpaque: (id, key) => _opaque(id, key, false),
+
+        /**
+         * Maps an opaque ID produced by `toOpaque()` back to the sortable pushID.
+         * @param {string} opaqueId - The opaque ID.
+         * @param {string} key - The secret key used to create it.
+         * @returns {string|null} The sortable pushID, or null if the input is invalid.
+         */
+        fromOpaque: (opaqueId, key) => _opaque(opaqueId, key, true),
+
+        /**
+         * Signs a value with HMAC-SHA256, producing `[value].[keyID].[signature]`. The key ID lets
+         * `verify()` pick the right key from a keyring after the signing key has been rotated.
+         *
+         * A `purpose` binds the signature to where the value is used: it is part of the signed data,
+         * but not of the output, so the value only verifies with the same purpose. Without it, a
+         * signed sID could be passed off as a cID, for example.
+         * @param {string} id - The value to sign, usually a pushID.
+         * @param {SigningKey} key - The secret or keyring to sign with.
+         * @param {object} [options] - Additional options.
+         * @param {string} [options.purpose] - What the value is used for, e.g. the storage key name. Letters,
+         * digits, '_', '~' and '-' only.
+         * @returns {Promise<string>} The signed value.
+         * @throws {Error} If the value is not a string, the key is missing, or the purpose is invalid.
+         * @example
+         * const keys = { current: 'k2', keys: { k1: env.OLD_SECRET, k2: env.SECRET } };
+         * const signed = await pushID.sign(cID, keys, { purpose: 'cID' });
+         * // -> "0PX5f3qu-cID-bVn2mkL9xZ~_.k2.3q2-7w..."
+         */
+        sign: async (id, key, options = {}) => {
+            if (typeof id !== 'string') throw new Error("Only strings can be signed.");
+            const data = _signedData(id, options.purpose);
+            if (data === null) throw new Error("The purpose must only contain letters, digits, '_', '~' and '-'.");
+            const {kid, secret} = _resolveSigningKey(key) || {};
+            if (!secret) throw new Error("The keyring's current key is missing from its keys.");
+            const cryptoKey = await _importHmacKey(secret);
+            const signature = await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(`${kid}${data}`));
+            return `${id}.${kid}.${_toBase64Url(signature)}`;
+        },
+
+        /**
+         * Verifies a value produced by `sign()`. The comparison is done by Web Crypto and does
+         * not leak timing information.
+         * @param {string} signedId - The signed value.
+         * @param {SigningKey} key - The secret or keyring to verify with.
+         * @param {object} [options] - Additional options.
+         * @param {string} [options.purpose] - The purpose the value was signed with, if any.
+         * @returns {Promise<string|null>} The original value if the signature is valid, otherwise null.
+         * @example
+         * const cID = await pushID.verify(cookieValue, keys, { purpose: 'cID' });
+         * if (cID === null) {
+         * // Tampered, unsigned, signed with an unknown key, or signed for another purpose
+         * }
+         */
+        verify: async (signedId, key, options = {}) => {
+            if (typeof signedId !== 'string') return null;
+            const sigDot = signedId.lastIndexOf('.');
+            const kidDot = signedId.lastIndexOf('.', sigDot - 1);
+            if (kidDot <= 0) return null;
+            const id = signedId.substring(0, kidDot);
+            const kid = signedId.substring(kidDot + 1, sigDot);
+            const signature = _fromBase64Url(signedId.substring(sigDot + 1));
+            if (!signature || !/^[A-Za-z0-9_~]+$/.test(kid)) return null;
+            const resolved = _resolveSigningKey(key, kid);
+            if (!resolved) return null;
+            const data = _signedData(id, options.purpose);
+            if (data === null) return null;
+            const cryptoKey = await _importHmacKey(resolved.secret);
+            const valid = await crypto.subtle.verify('HMAC', cryptoKey, signature, new TextEncoder().encode(`${kid}${data}`));
+            return valid ? id : null;
+        },
+
+        /**
+         * Removes the signature from a value produced by `sign()` WITHOUT verifying it. Only use
+         * the result for display or logging, never for trust decisions.
+         * @param {string} signedId - The signed value.
+         * @returns {string|null} The value without its signature, or null if the input is not a string.
+         */
+        strip: (signedId) => {
+            if (typeof signedId !== 'string') return null;
+            const sigDot = signedId.lastIndexOf('.');
+            const kidDot = signedId.lastIndexOf('.', sigDot - 1);
+            return kidDot > 0 ? signedId.substring(0, kidDot) : signedId;
+        },
+
         /**
          * Generates a random string of a specified length using the pushID character set.
-         * @param {number} [length=12] - The desired length of the random string. Minimum is 12.
+         * @param {number} [length=12] - The desired length of the random string. Minimum is the instance's `randomLength`.
+         * @param {object} [options] - Additional options.
+         * @param {RandomSource} [options.rng] - A random source to use instead of the instance's.
          * @returns {string} A random string.
          */
-        newRnd: (length = 12) => {
-            const len = Math.max(12, length);
-            const chars = new Array(len);
-            for (let i = 0; i < len; i++) {
-                chars[i] = PUSH_CHARS.charAt(Math.floor(prng() * 64));
+        newRnd: (length = randomLength, options = {}) => {
+            const len = Math.max(randomLength, length);
+            return _randomChars(len, options.rng || settings.rng);
+        },
+
+        /**
+         * Creates a deterministic, seedable random source for reproducible output, e.g. in tests.
+         * It is NOT cryptographically secure and must never be used for real identifiers.
+         * @param {number|string} seed - The seed. Equal seeds produce equal byte sequences.
+         * @returns {RandomSource} A random source that can be passed as an `rng` option.
+         * @example
+         * pushID.configure({ rng: pushID.seededRng('test-suite') });
+         * const id = pushID.newID({ time: 0 }); // -> the same ID on every run
+         */
+        seededRng: (seed) => {
+            let state = 2166136261;
+            const seedStr = String(seed);
+            // FNV-1a to fold the seed into a 32-bit state
+            for (let i = 0; i < seedStr.length; i++) {
+                state = Math.imul(state ^ seedStr.charCodeAt(i), 16777619);
             }
-            return chars.join('');
+            // mulberry32
+            return function (bytes) {
+                for (let i = 0; i < bytes.length; i++) {
+                    state = (state + 0x6D2B79F5) | 0;
+                    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+                    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+                    bytes[i] = (t ^ (t >>> 14)) & 255;
+                }
+                return bytes;
+            };
         },
 
         /**
          * Creates a stable, deterministic hash string from any JavaScript input.
          * @param {*} input - The value to hash (object, array, string, etc.).
-         * @param {number} [length=12] - The desired length of the hash. Minimum is 12.
+         * @param {number} [length=12] - The desired length of the hash. Minimum is the instance's `randomLength`.
+         * @param {{version: import('./hashIsh.js').HashVersion}} [options] - The hash version. Defaults to
+         * the instance setting, which is `1` unless changed. Use `2` for hashes longer than 12 characters.
          * @returns {string} A stable hash string.
          * @example
          * const data = { b: 2, a: 1 }; // Order doesn't matter
          * const h = pushID.hash(data);
          * // -> "Qc5~v3G4bQdG"
          */
-        hash: (input, length = 12) => {
-            const len = Math.max(12, length);
-            return hashIsh(input, len, PUSH_CHARS);
+        hash: (input, length = randomLength, options = {}) => {
+            const len = Math.max(randomLength, length);
+            const version = options.version || settings.hashVersion;
+            if (version === 'sha256') throw new Error("The sha256 hash version is asynchronous; use hashAsync().");
+            return hashIsh(input, len, PUSH_CHARS, version);
+        },
+
+        /**
+         * The asynchronous variant of `hash()`, which additionally supports the `'sha256'`
+         * hash version through the Web Crypto API.
+         * @param {*} input - The value to hash.
+         * @param {number} [length=12] - The desired length of the hash.
+         * @param {{version: (import('./hashIsh.js').HashVersion|'sha256')}} [options] - The hash version.
+         * Defaults to `'sha256'`.
+         * @returns {Promise<string>} A stable hash string.
+         */
+        hashAsync: (input, length = randomLength, options = {}) => {
+            const len = Math.max(randomLength, length);
+            return hashIshAsync(input, len, PUSH_CHARS, options.version || 'sha256');
         },
     };
 
@@ -417,4 +1482,11 @@ export const pushID = (function () {
     publicApi.nextHashID = publicApi.newHashID;
 
     return publicApi;
-})();
\ No newline at end of file
+}
+
+/**
+ * The default pushID generator, using the standard 64-character alphabet, an 8-character
+ * timestamp relative to the UNIX epoch and a 12-character random part.
+ * @type {object}
+ */
+export const pushID = createPushID();
\ No newline at end of file
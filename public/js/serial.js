@@ -1,20 +1,134 @@
-// This function deterministically serializes any JavaScript value to a string.
-// It ensures that object keys are sorted to produce a stable, consistent output.
 /**
- * Deterministically serializes any JavaScript value to a string for hashing.
- * Ensures that object keys are sorted to produce a stable, consistent output.
+ * @fileoverview A canonical, deterministic serializer for hashing any JavaScript value.
+ * @version 2.1.0
+ *
+ * Equal values always produce equal strings, and values of different types never collide:
+ * - Plain objects have their keys sorted, so `{a: 1, b: 2}` and `{b: 2, a: 1}` are equal.
+ *   Properties whose value is `undefined` or a function are omitted, as in `JSON.stringify`.
+ * - Strings, booleans, finite numbers, arrays and `null` serialize exactly as in JSON, so
+ *   hashes of JSON-compatible data are unchanged from earlier versions.
+ * - Other types are tagged: `NaN`, `Infinity`, `-Infinity`, `-0`, `BigInt(1)`,
+ *   `Date(2025-01-01T00:00:00.000Z)`, `Map{...}`, `Set[...]`, `ArrayBuffer(00ff)`,
+ *   `Uint8Array[0,255]`, `DataView(00ff)`, `RegExp(/a/g)` and `Symbol("name")`.
+ *   Map entries and Set members are sorted by their serialized form.
+ * - Objects with a `toJSON()` method are serialized through it.
+ * - Cyclic structures throw a `TypeError` instead of overflowing the stack.
+ *
+ * The `legacy` option reproduces the 1.x output, which hash version 1 depends on, for every
+ * value that 1.x could tell apart: `undefined`, `NaN` and `±Infinity` become `null`, `-0`
+ * becomes `0`, and objects (including typed arrays and objects with `toJSON()`) list their own
+ * keys. Only values that 1.x could not hash, or collapsed to `{}`, are tagged: `BigInt`, `Date`,
+ * `Map`, `Set`, `ArrayBuffer`, `DataView` and `RegExp`.
+ */
+
+/**
+ * @typedef {object} SerializeOptions
+ * @property {boolean} [legacy=false] - Keep the 1.x encoding for values that 1.x could hash.
+ */
+
+/**
+ * Encodes bytes as lowercase hex.
+ * @private
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The hex string.
+ */
+function _hex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) hex += bytes[i].toString(16).padStart(2, '0');
+    return hex;
+}
+
+/**
+ * Serializes a value, tracking the objects on the current path to detect cycles.
  * @private
- * @param {*} val - The value to serialize (string, number, object, array, etc.).
+ * @param {*} val - The value to serialize.
+ * @param {Set<object>} ancestors - The objects currently being serialized.
+ * @param {boolean} legacy - Whether to keep the 1.x encoding.
+ * @returns {string|undefined} The serialized value, or undefined for values that are omitted
+ * from objects (`undefined` and functions).
+ * @throws {TypeError} If the value contains a cycle.
+ */
+function _serialize(val, ancestors, legacy) {
+    if (val === null || (legacy && val === undefined)) return 'null';
+    if (legacy && (typeof val === 'number' || typeof val === 'function' || typeof val === 'symbol')) {
+        return JSON.stringify(val);
+    }
+    switch (typeof val) {
+        case 'undefined':
+        case 'function':
+            return undefined;
+        case 'number':
+            if (Number.isNaN(val)) return 'NaN';
+            if (val === Infinity) return 'Infinity';
+            if (val === -Infinity) return '-Infinity';
+            if (Object.is(val, -0)) return '-0';
+            return JSON.stringify(val);
+        case 'bigint':
+            return `BigInt(${val})`;
+        case 'symbol':
+            return `Symbol(${JSON.stringify(val.description || '')})`;
+        case 'object':
+            break;
+        default:
+            return JSON.stringify(val);
+    }
+
+    if (ancestors.has(val)) throw new TypeError("Cannot serialize a cyclic structure.");
+    ancestors.add(val);
+    try {
+        const item = (v) => {
+            const s = _serialize(v, ancestors, legacy);
+            return s === undefined ? 'null' : s;
+        };
+
+        // 1.x joined functions and symbols in arrays as empty strings
+        if (Array.isArray(val)) {
+            return '[' + Array.from(val, legacy ? (v) => _serialize(v, ancestors, legacy) : item).join(',') + ']';
+        }
+        if (val instanceof Date) return `Date(${isNaN(val.getTime()) ? 'NaN' : val.toISOString()})`;
+        if (val instanceof Map) {
+            return 'Map{' + Array.from(val, ([k, v]) => item(k) + ':' + item(v)).sort().join(',') + '}';
+        }
+        if (val instanceof Set) return 'Set[' + Array.from(val, item).sort().join(',') + ']';
+        if (val instanceof ArrayBuffer) return `ArrayBuffer(${_hex(new Uint8Array(val))})`;
+        if (val instanceof DataView) {
+            return `DataView(${_hex(new Uint8Array(val.buffer, val.byteOffset, val.byteLength))})`;
+        }
+        // Typed arrays list their elements, which keeps multi-byte types independent of endianness
+        if (ArrayBuffer.isView(val) && !legacy) return `${val.constructor.name}[` + Array.from(val, item).join(',') + ']';
+        if (val instanceof RegExp) return `RegExp(${val.toString()})`;
+        if (typeof val.toJSON === 'function' && !legacy) return item(val.toJSON());
+
+        // Sort object keys for a deterministic output. 1.x wrote functions and symbols as `undefined`.
+        const entries = [];
+        for (const key of Object.keys(val).sort()) {
+            const s = _serialize(val[key], ancestors, legacy);
+            if (s !== undefined || legacy) entries.push(JSON.stringify(key) + ':' + s);
+        }
+        return '{' + entries.join(',') + '}';
+    } finally {
+        ancestors.delete(val);
+    }
+}
+
+/**
+ * Deterministically serializes any JavaScript value to a canonical string for hashing.
+ * @param {*} val - The value to serialize (string, number, object, array, Date, Map, etc.).
+ * @param {SerializeOptions} [options={}] - Serialization options.
  * @returns {string} A stable, stringified representation of the value.
+ * @throws {TypeError} If the value contains a cycle.
+ *
+ * @example
+ * serialize({b: new Date(0), a: 1n});
+ * // -> '{"a":BigInt(1),"b":Date(1970-01-01T00:00:00.000Z)}'
+ *
+ * serialize({a: undefined, b: NaN}, {legacy: true});
+ * // -> '{"a":null,"b":null}'
  */
-function serialize(val) {
-    if (val === null || val === undefined) return 'null';
-    if (typeof val !== 'object') return JSON.stringify(val);
-    if (Array.isArray(val)) return '[' + val.map(serialize).join(',') + ']';
-
-    return '{' + Object.keys(val).sort().map(key => {
-        return JSON.stringify(key) + ':' + serialize(val[key]);
-    }).join(',') + '}';
+function serialize(val, options = {}) {
+    const result = _serialize(val, new Set(), options.legacy === true);
+    return result === undefined ? 'null' : result;
 }
 
-export default serialize;
\ No newline at end of file
+export {serialize};
+export default serialize;
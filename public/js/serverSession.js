@@ -0,0 +1,212 @@
+/**
+ * @fileoverview A server-side storage handler for the sessionManager.
+ * @version 1.0.0
+ *
+ * This library provides a storage handler for server environments such as Cloudflare Workers,
+ * Deno, Bun or Node.js with the Fetch API. It implements the `get`, `set`, and `clear` methods
+ * that the `sessionManager` needs:
+ * 1. `get` reads values from the incoming request's `Cookie` header.
+ * 2. `set` and `clear` collect correctly serialized `Set-Cookie` header values, which are then
+ * applied to the outgoing response with `applyToResponse`.
+ */
+
+/**
+ * @typedef {object} ServerCookieOptions
+ * @property {Date} [expires] - The expiration date of the cookie.
+ * @property {number} [maxAge] - The lifetime of the cookie in seconds. Takes precedence over `expires` in browsers.
+ * @property {string} [domain] - The Domain attribute.
+ * @property {string} [path='/'] - The Path attribute.
+ * @property {boolean} [secure=true] - The Secure attribute. Forced on for `SameSite=None` and `Partitioned`.
+ * @property {boolean} [httpOnly=true] - The HttpOnly attribute.
+ * @property {'Strict'|'Lax'|'None'} [sameSite='Lax'] - The SameSite attribute.
+ * @property {boolean} [partitioned=false] - The Partitioned attribute (CHIPS).
+ */
+
+/**
+ * @typedef {object} ServerStorageConfig
+ * @property {Request} request - The incoming request whose `Cookie` header is read.
+ * @property {string} [prefix='__pshS_'] - A prefix for all cookie names to avoid naming collisions. It differs
+ * from `clientStorage`'s `__pshC_`, since the HttpOnly cookies set here cannot be read or overwritten by
+ * browser scripts; sharing a prefix would make the two sides create competing cIDs.
+ * @property {ServerCookieOptions} [cookieOptions] - Default options for every cookie that is set.
+ * @property {import('./pushID.js').SigningKey} [signingKey] - If set, the sessionManager signs every value it
+ * stores through this handler and rejects values whose signature does not verify.
+ */
+
+/**
+ * Cookie names must be RFC 6265 tokens.
+ * @type {RegExp}
+ */
+const COOKIE_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Parses a `Cookie` header into a name-to-value map. Values are URI-decoded where possible; the
+ * first occurrence of a name wins, as browsers send the most specific cookie first.
+ *
+ * @param {string|null} header - The value of the `Cookie` header.
+ * @returns {Object<string, string>} The cookies.
+ *
+ * @example
+ * parseCookies('a=1; b=hello%20world'); // -> { a: '1', b: 'hello world' }
+ */
+export function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index === -1) continue;
+        const name = pair.substring(0, index).trim();
+        if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) continue;
+        let value = pair.substring(index + 1).trim();
+        if (value.length >= 2 && value[0] === '"' && value[value.length - 1] === '"') value = value.slice(1, -1);
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Serializes a cookie into a `Set-Cookie` header value. The value is URI-encoded, so it may
+ * contain any characters.
+ *
+ * @param {string} name - The cookie name.
+ * @param {string} value - The cookie value.
+ * @param {ServerCookieOptions} [options={}] - The cookie attributes.
+ * @returns {string} The `Set-Cookie` header value.
+ * @throws {Error} If the name or an attribute is invalid.
+ *
+ * @example
+ * serializeCookie('__pshC_cID', 'abc', { path: '/', httpOnly: true, sameSite: 'None' });
+ * // -> "__pshC_cID=abc; Path=/; Secure; HttpOnly; SameSite=None"
+ */
+export function serializeCookie(name, value, options = {}) {
+    if (!COOKIE_NAME_PATTERN.test(name)) throw new Error(`Invalid cookie name "${name}".`);
+    const parts = [`${name}=${encodeURIComponent(value)}`];
+
+    if (options.domain) {
+        if (!/^\.?[A-Za-z0-9.-]+$/.test(options.domain)) throw new Error(`Invalid cookie domain "${options.domain}".`);
+        parts.push(`Domain=${options.domain}`);
+    }
+    if (options.path) {
+        if (/[;\x00-\x1f\x7f]/.test(options.path)) throw new Error(`Invalid cookie path "${options.path}".`);
+        parts.push(`Path=${options.path}`);
+    }
+    if (options.expires) {
+        const expires = options.expires instanceof Date ? options.expires : new Date(options.expires);
+        if (isNaN(expires.getTime())) throw new Error("Invalid cookie expiry date.");
+        parts.push(`Expires=${expires.toUTCString()}`);
+    }
+    if (options.maxAge !== undefined && options.maxAge !== null) {
+        if (!Number.isFinite(options.maxAge)) throw new Error("The cookie maxAge must be a number of seconds.");
+        parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    }
+
+    let sameSite = null;
+    if (options.sameSite) {
+        sameSite = String(options.sameSite).charAt(0).toUpperCase() + String(options.sameSite).slice(1).toLowerCase();
+        if (!['Strict', 'Lax', 'None'].includes(sameSite)) throw new Error(`Invalid SameSite value "${options.sameSite}".`);
+    }
+    // Browsers reject SameSite=None and Partitioned cookies without Secure
+    if (options.secure || sameSite === 'None' || options.partitioned) parts.push('Secure');
+    if (options.httpOnly) parts.push('HttpOnly');
+    if (sameSite) parts.push(`SameSite=${sameSite}`);
+    if (options.partitioned) parts.push('Partitioned');
+
+    return parts.join('; ');
+}
+
+/**
+ * Factory function that creates a server-side storage handler for a single request.
+ *
+ * @param {ServerStorageConfig} config - Configuration for the server storage handler.
+ * @returns {{get: function(string): (string|null), set: function(string, string, ServerCookieOptions): void, clear: function(): void, getSetCookieHeaders: function(): string[], applyToResponse: function(Response): Response, config: ServerStorageConfig}} A storage handler.
+ * @throws {Error} If no request is provided.
+ *
+ * @example
+ * // In a Cloudflare Worker
+ * export default {
+ *   async fetch(request, env) {
+ *     const storage = serverStorage({ request, cookieOptions: { domain: '.example.com' } });
+ *     const session = sessionManager().process({ storageHandler: storage });
+ *
+ *     const response = await env.ASSETS.fetch(request);
+ *     return storage.applyToResponse(response);
+ *   }
+ * };
+ */
+export const serverStorage = (config = {}) => {
+    if (!config.request) throw new Error("A request must be provided to serverStorage.");
+    const finalConfig = {
+        prefix: '__pshS_',
+        signingKey: null,
+        ...config,
+        cookieOptions: {path: '/', secure: true, httpOnly: true, sameSite: 'Lax', ...config.cookieOptions},
+    };
+
+    const cookies = parseCookies(finalConfig.request.headers.get('Cookie'));
+
+    /**
+     * The pending `Set-Cookie` values, keyed by cookie name so that only the last write of
+     * each cookie is sent.
+     * @type {Map<string, string>}
+     */
+    const pending = new Map();
+
+    /**
+     * Retrieves a value from the request's cookies, reflecting any `set` or `clear` made since.
+     *
+     * @param {string} key - The key of the item to retrieve (e.g., 'cID').
+     * @returns {string|null} The retrieved value, or null if not found.
+     */
+    const get = (key) => {
+        const name = finalConfig.prefix + key;
+        return Object.prototype.hasOwnProperty.call(cookies, name) && cookies[name] !== '' ? cookies[name] : null;
+    };
+
+    /**
+     * Records a cookie to be sent with the response.
+     *
+     * @param {string} key - The key of the item to set (e.g., 'sID').
+     * @param {string} value - The value to store.
+     * @param {ServerCookieOptions} [cookieOpts] - Options for the cookie, especially the `expires` date.
+     */
+    const set = (key, value, cookieOpts) => {
+        const name = finalConfig.prefix + key;
+        const options = {...finalConfig.cookieOptions, ...cookieOpts};
+        pending.set(name, serializeCookie(name, value, options));
+        const expired = (options.expires && new Date(options.expires).getTime() <= Date.now()) || options.maxAge <= 0;
+        cookies[name] = expired ? '' : value;
+    };
+
+    /**
+     * Expires all session-related cookies.
+     */
+    const clear = () => {
+        ['cID', 'sID', 'eID', 'seqID', 'src', 'uID', 'state'].forEach(key => set(key, '', {expires: new Date(0), maxAge: 0}));
+    };
+
+    /**
+     * Returns the `Set-Cookie` header values collected so far.
+     * @returns {string[]} The header values.
+     */
+    const getSetCookieHeaders = () => Array.from(pending.values());
+
+    /**
+     * Appends the collected `Set-Cookie` headers to a response. A copy of the response is
+     * returned, since responses from `fetch` or `env.ASSETS` have immutable headers.
+     *
+     * @param {Response} response - The outgoing response.
+     * @returns {Response} A response with the `Set-Cookie` headers appended.
+     */
+    const applyToResponse = (response) => {
+        if (pending.size === 0) return response;
+        const result = new Response(response.body, response);
+        for (const header of pending.values()) result.headers.append('Set-Cookie', header);
+        return result;
+    };
+
+    return {get, set, clear, getSetCookieHeaders, applyToResponse, config: finalConfig};
+};
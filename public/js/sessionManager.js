@@ -34,12 +34,62 @@ import {pushID} from './pushID.js';
  * @property {Date|null} clientTime - The timestamp of the cID as a Date object.
  * @property {Date|null} sessionTime - The timestamp of the sID as a Date object.
  * @property {Date|null} eventTime - The timestamp of the eID as a Date object.
+ * @property {string|null} [src] - A fingerprint of the session's traffic source. Only present if the manager
+ * breaks sessions on campaign or referrer changes.
+ * @property {string|null} [uID] - The User ID of the logged-in user. Only present if identity stitching is enabled.
  */
 
 /**
  * @typedef {object} SessionChanges
  * @property {boolean} isNewClient - True if a new cID was generated.
  * @property {boolean} isNewSession - True if a new sID was generated.
+ * @property {string[]} rejectedKeys - The stored keys whose signature failed verification and that
+ * were therefore treated as missing. Always empty when no signing key is used.
+ * @property {SessionSummary|null} endedSession - A summary of the previous session if this event ended
+ * it, or null.
+ * @property {string|null} sessionEndReason - Why the previous session ended: 'timeout', 'maxDuration',
+ * 'midnight', 'campaign', 'referrer', 'login', 'futureTime', or the reason returned by a custom rule. Null if no
+ * session ended.
+ * @property {ConsentState} consent - The consent state the event was processed under.
+ * @property {boolean} anonymous - True if the event was processed without consent, so nothing was persisted
+ * through the storage handler.
+ * @property {('gpc'|'dnt'|null)} privacySignal - The privacy signal of the browser, if one was sent and honoured.
+ * @property {boolean} isLogin - True if this event attached a uID that the client did not carry before.
+ * @property {boolean} isLogout - True if this event detached the client's uID.
+ * @property {AliasRecord[]} aliases - The links between the cID and a uID that this event created, for forwarding
+ * to a data warehouse. Empty unless the event is a login.
+ * @property {string[]} futureKeys - The stored IDs ('cID', 'sID', 'eID') that were dated in the future, to which the
+ * `futureIDPolicy` was applied. Usually a sign of a wrong clock, on this machine or the one that minted them.
+ */
+
+/**
+ * @typedef {object} AliasRecord
+ * @property {'alias'} type - The record type.
+ * @property {string} uID - The User ID.
+ * @property {string} cID - The Client ID that was linked to the user.
+ * @property {string|null} previousUID - The uID the client carried before, if another user was logged in on it.
+ * @property {string} sID - The Session ID in which the link was made.
+ * @property {string} eID - The Event ID of the login event.
+ * @property {Date} time - The time of the login event.
+ * @property {string[]} [aliasOf] - The other cIDs already linked to the user. Only present with an `aliasStore`.
+ */
+
+/**
+ * The consent of the user to persistent identifiers: 'granted', 'pending' (not asked or not answered yet),
+ * or 'denied'.
+ * @typedef {'granted'|'pending'|'denied'} ConsentState
+ */
+
+/**
+ * @typedef {object} SessionSummary
+ * @property {string} cID - The Client ID the session belonged to.
+ * @property {string} sID - The Session ID of the ended session.
+ * @property {number|null} sessionNum - The number of the session for this client, from its seqID.
+ * @property {Date} startTime - The start of the session, decoded from its sID.
+ * @property {Date} lastActivityTime - The time of the session's last event, decoded from its last eID.
+ * @property {number} duration - The time from the start to the last event in milliseconds.
+ * @property {number|null} eventCount - The number of events in the session, from its seqID.
+ * @property {string} endReason - Why the session ended; see `SessionChanges.sessionEndReason`.
  */
 
 /**
@@ -56,12 +106,25 @@ import {pushID} from './pushID.js';
  * @property {SessionChanges} changes - A summary of what changed during processing.
  */
 
+/**
+ * @typedef {SessionState & {isActive: boolean, expiresAt: (Date|null), sessionEndReason: (string|null)}} PeekedSession
+ * The stored state as returned by `peek` and `touch`. `isActive` is true if the next event would continue the
+ * session, `expiresAt` is when it ends by inactivity, and `sessionEndReason` is why it has already ended, if it has.
+ */
+
 /**
  * @typedef {object} StorageHandler
- * @property {function(string): (string|null)} get - Retrieves a value from storage by key.
- * @property {function(string, string, object): void} set - Saves a value to storage by key, with options.
- * @property {function(): void} clear - Clears all session-related keys from storage.
- * @property {object} config - The configuration of the storage handler.
+ * @property {function(string): (string|null|Promise<string|null>)} get - Retrieves a value from storage by key.
+ * @property {function(string, string, object): (void|Promise<void>)} set - Saves a value to storage by key, with options.
+ * @property {function(): (void|Promise<void>)} clear - Clears all session-related keys from storage.
+ * @property {function(string[]): (Object<string, (string|null)>|Promise<Object<string, (string|null)>>)} [getAll] -
+ * Retrieves several values in one read, as an object keyed by key. Used instead of `get` when present.
+ * @property {function(Object<string, {value: string, options: object}>): (void|Promise<void>)} [setAll] - Saves
+ * several values in one write. Used instead of `set` when present.
+ * @property {function(function(): Promise<*>): Promise<*>} [transaction] - Runs the read and write of one
+ * `process` call exclusively, so that concurrent calls for the same client cannot interleave.
+ * @property {object} config - The configuration of the storage handler. If it contains a `signingKey`,
+ * the manager signs every value it writes through this handler and verifies every value it reads.
  */
 
 /**
@@ -69,13 +132,95 @@ import {pushID} from './pushID.js';
  * @property {number} [sessionTimeout=1800000] - The session inactivity timeout in milliseconds. Defaults to 30 minutes.
  * @property {number} [randomnessLength=12] - The length of the random part of the generated pushIDs.
  * @property {boolean} [useStubs=false] - If true, adds stubs ('cID', 'sID', 'eID') to the generated IDs.
+ * @property {import('./pushID.js').SigningKey} [signingKey] - If set, stored values are signed with
+ * `pushID.sign()` and verified with `pushID.verify()`; tampered values are treated as missing.
+ * A `signingKey` in the storage handler's config takes precedence.
+ * @property {function(ProcessedSession): (void|Promise<void>)} [onNewClient] - Called when a new cID is created.
+ * @property {function(ProcessedSession): (void|Promise<void>)} [onSessionStart] - Called when a new session starts.
+ * @property {function(SessionSummary, ProcessedSession): (void|Promise<void>)} [onSessionEnd] - Called with a summary
+ * of the previous session when an event ends it. It runs before `onSessionStart`.
+ * @property {function(ProcessedSession): (void|Promise<void>)} [onEvent] - Called for every processed event, last.
+ * @property {function(Error, {source: string}): void} [onError] - Called when a hook throws or rejects, with the
+ * hook's name as `source`, or when the `aliasStore` fails, with the source 'aliasStore'. Such failures never fail
+ * the event; without `onError` they are ignored.
+ * @property {number|null} [maxSessionDuration=null] - Ends a session once it is older than this many milliseconds,
+ * however active it is.
+ * @property {boolean} [breakAtMidnight=false] - Ends a session when an event falls on a later calendar day than
+ * the previous event, in `timeZone`.
+ * @property {string|null} [timeZone=null] - The IANA time zone for `breakAtMidnight` (e.g., 'America/New_York').
+ * Defaults to the runtime's local time zone, which is UTC in Workers.
+ * @property {boolean} [breakOnCampaignChange=false] - Ends a session when an event arrives with campaign parameters
+ * (`utm_*` or an ad click ID) that differ from those that started or last joined the session.
+ * @property {boolean} [breakOnReferrerChange=false] - Ends a session when an event arrives from an external
+ * referrer that differs from the session's traffic source.
+ * @property {string[]} [ignoredReferrers=[]] - Referrer hosts that never end a session (e.g., payment providers).
+ * Subdomains match as well.
+ * @property {boolean} [packed=false] - If true, all IDs are stored under the single key 'state' in a compact, versioned
+ * format with a checksum, instead of under four keys. Values stored in the four-key layout are migrated on first read.
+ * @property {Array<function(SessionState, SessionContext): (boolean|string)>} [breakRules=[]] - Custom predicates.
+ * A rule that returns a string ends the session with that reason; `true` ends it with the reason 'custom'. A rule
+ * that throws is skipped and reported to `onError` with the source 'breakRule'.
+ * @property {ConsentState} [consent='granted'] - The initial consent state. Unless it is 'granted', events are
+ * processed anonymously and nothing is persisted through the storage handler.
+ * @property {'memory'|'cookieless'} [anonymousMode='memory'] - How anonymous sessions are kept: 'memory' keeps the
+ * IDs in the manager's memory only; 'cookieless' additionally derives the cID from `context.fingerprint` and the
+ * current day (UTC), so that it is stable for one day without being stored anywhere.
+ * @property {boolean} [respectPrivacySignals=true] - Processes events anonymously if the browser sends the Global
+ * Privacy Control or Do Not Track signal, unless consent was given explicitly with `setConsent` or `options.consent`.
+ * @property {string|null} [cookielessSalt=null] - The secret mixed into cookieless cIDs. Defaults to a random value
+ * per manager instance; set it to keep cIDs stable across Worker isolates and restarts.
+ * @property {boolean} [identity=false] - Enables identity stitching: the uID passed to `process` as `userID` is
+ * stored with the session and returned with every event until the user logs out.
+ * @property {string|null} [userSalt=null] - A secret mixed into uIDs, so that a uID cannot be traced back to its
+ * account key by hashing guessed keys. Changing it changes every uID.
+ * @property {boolean} [rotateSessionOnLogin=false] - Starts a new session, with the end reason 'login', when a user
+ * logs in, so that a session ID planted before the login (session fixation) is not carried into the account.
+ * @property {import('./sessionStore.js').SessionStore|null} [aliasStore=null] - A store that keeps the cIDs of each
+ * user, so that a login only creates an alias record for a cID that is new to the user. Logins then make `process`
+ * asynchronous.
+ * @property {function(): number} [now] - Returns the current time in milliseconds. Used for every session decision
+ * and for the timestamps of new IDs. Defaults to `Date.now`.
+ * @property {number} [clockOffset=0] - The initial offset of the server's clock from `now`, in milliseconds. It is
+ * added to `now`, and updated by `syncClock`.
+ * @property {number} [clockSkew=60000] - How far in the future, in milliseconds, a stored ID may be dated before
+ * `futureIDPolicy` applies.
+ * @property {'clamp'|'reject'|'newSession'} [futureIDPolicy='clamp'] - What to do with stored IDs dated in the future:
+ * 'clamp' treats their time as now; 'reject' treats them as missing (a future cID starts a new client, a future sID a
+ * new session); 'newSession' keeps the cID but ends the session with the reason 'futureTime'.
+ * @property {string} [serverTimeHeader='Date'] - The response header `syncClock` reads the server time from. It may
+ * hold an HTTP date or a time in milliseconds.
+ */
+
+/**
+ * @typedef {object} SessionContext
+ * @property {string} [url] - The URL of the current page or request.
+ * @property {string} [referrer] - The referrer of the current page or request.
+ * @property {Object<string, string>} [campaign] - Campaign parameters, if they are not in the `url`.
+ * @property {boolean} [gpc] - True if the request sent the Global Privacy Control signal (`Sec-GPC: 1`). In the
+ * browser, `navigator.globalPrivacyControl` is used if neither `gpc` nor `dnt` is given.
+ * @property {boolean} [dnt] - True if the request sent the Do Not Track signal (`DNT: 1`). In the browser,
+ * `navigator.doNotTrack` is used if neither `gpc` nor `dnt` is given.
+ * @property {string} [fingerprint] - A string that identifies the client without storage (such as its IP address
+ * and User-Agent), for cookieless anonymous sessions. It is only ever used hashed.
+ */
+
+/**
+ * @typedef {object} ProcessingMode
+ * @property {ConsentState} consent - The consent state the event is processed under.
+ * @property {boolean} anonymous - True if the event is processed without persisting anything.
+ * @property {('gpc'|'dnt'|null)} privacySignal - The honoured privacy signal, if any.
+ * @property {string|null} [clientID] - The cID to give a new client, if it is derived rather than random.
+ * @property {string|null} [uID] - The uID to attach, null to detach the stored one, or undefined to keep it.
+ * @property {*} [seed] - Data from which new IDs are derived with `pushID.newHashID`, instead of randomly.
+ * @property {Object<string, (string|null)>} [promoted] - The anonymous session to continue if storage holds no
+ * client, when consent was granted for this event.
  */
 
 /**
  * Factory function to create a new sessionManager instance.
  *
  * @param {SessionManagerConfig} [config={}] - Configuration for the session manager.
- * @returns {{process: function(options: {storageHandler: StorageHandler}): ProcessedSession, config: SessionManagerConfig}} A session manager instance.
+ * @returns {{process: function(options: {storageHandler: StorageHandler}): (ProcessedSession|Promise<ProcessedSession>), processAsync: function(options: {storageHandler: StorageHandler}): Promise<ProcessedSession>, peek: function(object): (PeekedSession|Promise<PeekedSession>), touch: function(object): (PeekedSession|null|Promise<PeekedSession|null>), endSession: function(object): (SessionSummary|null|Promise<SessionSummary|null>), rotateClient: function(object): (object|Promise<object>), syncClock: function((Response|Headers|Date|number|string)): number, setConsent: function(ConsentState, object=): (void|Promise<void>), getConsent: function(): ConsentState, uIDFor: function((string|number)): string, config: SessionManagerConfig}} A session manager instance.
  *
  * @example
  * // Basic Initialization
@@ -84,79 +229,311 @@ import {pushID} from './pushID.js';
  * useStubs: true
  * });
  */
+/**
+ * A private generator for the IDs the manager derives from data (uIDs, cookieless cIDs and seeded IDs)
+ * and for its cookieless salt, so that they never replace the `previousID()` of the shared `pushID`
+ * generator.
+ * @type {object}
+ */
+const derivedIDs = pushID.create();
+
 export const sessionManager = (config = {}) => {
 
     const finalConfig = {
         sessionTimeout: 30 * 60 * 1000,
         randomnessLength: 12,
         useStubs: false,
+        signingKey: null,
+        maxSessionDuration: null,
+        breakAtMidnight: false,
+        timeZone: null,
+        breakOnCampaignChange: false,
+        breakOnReferrerChange: false,
+        ignoredReferrers: [],
+        breakRules: [],
+        packed: false,
+        consent: 'granted',
+        anonymousMode: 'memory',
+        respectPrivacySignals: true,
+        cookielessSalt: null,
+        identity: false,
+        userSalt: null,
+        rotateSessionOnLogin: false,
+        aliasStore: null,
+        now: null,
+        clockOffset: 0,
+        clockSkew: 60000,
+        futureIDPolicy: 'clamp',
+        serverTimeHeader: 'Date',
+        onError: null,
         ...config,
     };
 
     /**
-     * Processes a session event. It reads the previous state from the provided storageHandler,
-     * generates new IDs based on the session logic (checking for timeouts), and writes the
-     * new state back to the storageHandler.
-     *
-     * @param {object} options - The options for processing.
-     * @param {StorageHandler} options.storageHandler - The storage handler instance to use for getting and setting session data.
-     * @returns {ProcessedSession} A comprehensive object detailing the session state before and after the event.
-     * @throws {Error} If a storageHandler is not provided.
-     *
-     * @example
-     * // On the client-side with a clientStorage handler
-     * const manager = sessionManager();
-     * const storage = clientStorage(); // Assuming clientStorage is defined elsewhere
-     *
-     * const sessionData = manager.process({ storageHandler: storage });
-     * console.log(sessionData.changes.isNewSession); // true or false
-     * console.log(`Current session ID is ${sessionData.sID}`);
+     * The valid consent states.
+     * @type {ConsentState[]}
      */
-    const process = (options = {}) => {
-        const {storageHandler} = options;
-        if (!storageHandler) {
-            throw new Error("A storageHandler must be provided in the options.");
+    const CONSENT_STATES = ['granted', 'pending', 'denied'];
+    if (!CONSENT_STATES.includes(finalConfig.consent)) throw new Error(`Invalid consent "${finalConfig.consent}".`);
+    if (!['memory', 'cookieless'].includes(finalConfig.anonymousMode)) {
+        throw new Error(`Invalid anonymousMode "${finalConfig.anonymousMode}".`);
+    }
+    if (!['clamp', 'reject', 'newSession'].includes(finalConfig.futureIDPolicy)) {
+        throw new Error(`Invalid futureIDPolicy "${finalConfig.futureIDPolicy}".`);
+    }
+
+    /**
+     * The storage keys managed by the session manager.
+     * @type {string[]}
+     */
+    const KEYS = ['cID', 'sID', 'eID', 'seqID'];
+
+    /**
+     * True if the traffic source is tracked, in which case its fingerprint is stored as `src`.
+     * @type {boolean}
+     */
+    const tracksSource = Boolean(finalConfig.breakOnCampaignChange || finalConfig.breakOnReferrerChange);
+    if (tracksSource) KEYS.push('src');
+    if (finalConfig.identity) KEYS.push('uID');
+
+    /**
+     * The URL parameters that identify a campaign.
+     * @type {string[]}
+     */
+    const CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+        'gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'li_fat_id'];
+
+    /**
+     * Formats a time as its calendar day in the configured time zone.
+     * @type {Intl.DateTimeFormat|null}
+     */
+    let dayFormat = null;
+    if (finalConfig.breakAtMidnight) {
+        try {
+            dayFormat = new Intl.DateTimeFormat('en-CA', {
+                timeZone: finalConfig.timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit'
+            });
+        } catch (e) {
+            throw new Error(`Invalid timeZone "${finalConfig.timeZone}".`);
         }
+    }
 
-        // 1. Read the old state from storage
-        const cID = storageHandler.get('cID');
-        const sID = storageHandler.get('sID');
-        const prevEID = storageHandler.get('eID');
-        const seqID = storageHandler.get('seqID');
+    /**
+     * Parses a URL, returning null instead of throwing.
+     * @private
+     * @param {string|undefined} url - The URL.
+     * @returns {URL|null} The parsed URL, or null if it is missing or invalid.
+     */
+    const _parseURL = (url) => {
+        if (!url) return null;
+        try {
+            return new URL(url);
+        } catch (e) {
+            return null;
+        }
+    };
 
+    /**
+     * Determines the traffic source of an event from its context: its campaign parameters if
+     * campaigns are tracked and present, otherwise its referrer if referrers are tracked and the
+     * referrer is external. Internal navigation and direct visits have no source.
+     * @private
+     * @param {SessionContext} context - The context of the event.
+     * @returns {{type: ('campaign'|'referrer'), fingerprint: string}|null} The source, or null.
+     */
+    const _trafficSource = (context) => {
+        const url = _parseURL(context.url);
+        if (finalConfig.breakOnCampaignChange) {
+            const campaign = {};
+            for (const param of CAMPAIGN_PARAMS) {
+                const value = context.campaign ? context.campaign[param] : url && url.searchParams.get(param);
+                if (value) campaign[param] = String(value);
+            }
+            if (Object.keys(campaign).length > 0) return {type: 'campaign', fingerprint: pushID.hash({campaign})};
+        }
+        if (finalConfig.breakOnReferrerChange) {
+            const referrer = _parseURL(context.referrer);
+            if (!referrer || !referrer.hostname) return null;
+            const host = referrer.hostname.toLowerCase();
+            if (url && url.hostname.toLowerCase() === host) return null;
+            const ignored = finalConfig.ignoredReferrers.some(h => host === h.toLowerCase() || host.endsWith('.' + h.toLowerCase()));
+            if (!ignored) return {type: 'referrer', fingerprint: pushID.hash({referrer: host})};
+        }
+        return null;
+    };
+
+    /**
+     * Returns the reason the stored session must end before this event, or null if it continues.
+     * @private
+     * @param {SessionState} oldState - The stored state.
+     * @param {number|null} lastActivityTime - The time of the session's last activity.
+     * @param {SessionContext} context - The context of the event.
+     * @param {{type: string, fingerprint: string}|null} source - The traffic source of the event.
+     * @returns {string|null} The reason, or null.
+     */
+    const _breakReason = (oldState, lastActivityTime, context, source) => {
+        const now = _now();
+        if (!lastActivityTime || now - lastActivityTime > finalConfig.sessionTimeout) return 'timeout';
+        if (finalConfig.maxSessionDuration && oldState.sessionTime
+            && now - oldState.sessionTime.getTime() > finalConfig.maxSessionDuration) return 'maxDuration';
+        if (dayFormat && dayFormat.format(new Date(lastActivityTime)) !== dayFormat.format(new Date(now))) return 'midnight';
+        if (source && source.fingerprint !== oldState.src) return source.type;
+        for (const rule of finalConfig.breakRules) {
+            let result;
+            try {
+                result = rule(oldState, context);
+            } catch (e) {
+                // A broken rule must not fail the event; it is reported and skipped
+                _reportError(e, 'breakRule');
+                continue;
+            }
+            if (result) return typeof result === 'string' ? result : 'custom';
+        }
+        return null;
+    };
+
+    /**
+     * Decodes the stored values into a session state.
+     * @private
+     * @param {Object<string, (string|null)>} stored - The values read from storage, keyed by `KEYS`.
+     * @returns {SessionState} The state.
+     */
+    const _decode = (stored) => {
+        const {cID, sID, eID, seqID} = stored;
         const cIDTime = cID ? pushID.decodeTime(cID) : null;
         const sIDTime = sID ? pushID.decodeTime(sID) : null;
-        const prevEIDTime = prevEID ? pushID.decodeTime(prevEID) : null;
+        const eIDTime = eID ? pushID.decodeTime(eID) : null;
 
-        const oldState = {
-            cID, sID, eID: prevEID, seqID,
+        const state = {
+            cID, sID, eID, seqID,
             clientTime: cIDTime ? new Date(cIDTime) : null,
             sessionTime: sIDTime ? new Date(sIDTime) : null,
-            eventTime: prevEIDTime ? new Date(prevEIDTime) : null
+            eventTime: eIDTime ? new Date(eIDTime) : null
         };
+        if (tracksSource) state.src = stored.src;
+        if (finalConfig.identity) state.uID = stored.uID || null;
+        return state;
+    };
 
-        // 2. Check if the session has expired
-        let isSessionExpired = true;
-        const lastActivityTime = prevEIDTime || sIDTime || cIDTime;
-        if (lastActivityTime) {
-            isSessionExpired = (Date.now() - lastActivityTime) > finalConfig.sessionTimeout;
+    /**
+     * Returns the time of the last activity of a state: its last event, or else the start of its
+     * session or client.
+     * @private
+     * @param {SessionState} state - The state.
+     * @returns {number|null} The time in milliseconds, or null if the state has no IDs.
+     */
+    const _lastActivityTime = (state) => {
+        const time = state.eventTime || state.sessionTime || state.clientTime;
+        return time ? time.getTime() : null;
+    };
+
+    /**
+     * The offset of the server's clock from the local clock in milliseconds, learned with `syncClock`.
+     * @type {number}
+     */
+    let clockOffset = finalConfig.clockOffset;
+
+    /**
+     * Returns the current time: the configured clock, corrected by the learned server-time offset.
+     * @private
+     * @returns {number} The time in milliseconds.
+     */
+    const _now = () => (finalConfig.now ? finalConfig.now() : Date.now()) + clockOffset;
+
+    /**
+     * Returns the ID generation options for the current time. With the system clock and no offset,
+     * the time is left to `pushID`, so that its monotonic mode keeps working.
+     * @private
+     * @param {string} stub - The stub to use if stubs are enabled.
+     * @returns {{length: number, stub: (string|null), time: (number|undefined)}} The options.
+     */
+    const _idOptions = (stub) => {
+        const options = {length: finalConfig.randomnessLength, stub: finalConfig.useStubs ? stub : null};
+        if (finalConfig.now || clockOffset) options.time = _now();
+        return options;
+    };
+
+    /**
+     * The time fields of the IDs that carry a timestamp.
+     * @type {Object<string, string>}
+     */
+    const TIME_FIELDS = {cID: 'clientTime', sID: 'sessionTime', eID: 'eventTime'};
+
+    /**
+     * Decodes the stored values, applying the `futureIDPolicy` to IDs dated further in the future than
+     * `clockSkew` allows. 'clamp' treats their time as now; 'reject' treats them, and the IDs below
+     * them, as missing; 'newSession' clamps them and ends the session.
+     * @private
+     * @param {Object<string, (string|null)>} stored - The values read from storage, keyed by `KEYS`.
+     * @returns {{stored: Object<string, (string|null)>, state: SessionState, futureKeys: string[], futureReason: (string|null)}}
+     * The values after the policy, their decoded state, the keys of the future-dated IDs, and 'futureTime' if
+     * the policy ends the session.
+     */
+    const _applyClock = (stored) => {
+        const now = _now();
+        const futureKeys = Object.keys(TIME_FIELDS).filter(key => {
+            const time = stored[key] ? pushID.decodeTime(stored[key]) : null;
+            return time !== null && time - now > finalConfig.clockSkew;
+        });
+        if (futureKeys.length === 0) return {stored, state: _decode(stored), futureKeys, futureReason: null};
+
+        if (finalConfig.futureIDPolicy === 'reject') {
+            // A rejected cID takes the whole state with it; a rejected sID takes its session
+            const kept = futureKeys.includes('cID') ? _normalize(null) : {...stored};
+            if (futureKeys.includes('sID')) Object.assign(kept, {sID: null, eID: null});
+            if (futureKeys.includes('eID')) kept.eID = null;
+            return {stored: kept, state: _decode(kept), futureKeys, futureReason: null};
         }
 
-        // 3. Determine if new IDs are needed
-        const idOptions = {length: finalConfig.randomnessLength};
+        const state = _decode(stored);
+        for (const key of futureKeys) state[TIME_FIELDS[key]] = new Date(now);
+        const endsSession = finalConfig.futureIDPolicy === 'newSession' && stored.sID
+            && (futureKeys.includes('sID') || futureKeys.includes('eID'));
+        return {stored, state, futureKeys, futureReason: endsSession ? 'futureTime' : null};
+    };
+
+    /**
+     * Derives the new session state from the stored values. Pure apart from ID generation.
+     * @private
+     * @param {Object<string, (string|null)>} stored - The values read from storage, keyed by `KEYS`.
+     * @param {SessionContext} [context={}] - The context of the event, for the session-break rules.
+     * @param {ProcessingMode} [mode={}] - The consent mode of the event, from `_resolve`.
+     * @returns {{oldState: SessionState, newState: SessionState, changes: SessionChanges}} The transition.
+     */
+    const _compute = (stored, context = {}, mode = {}) => {
+        // An existing persisted client always takes precedence over a promoted anonymous one
+        const clock = _applyClock(mode.promoted && !stored.cID ? mode.promoted : stored);
+        const {cID, sID, seqID} = clock.stored;
+        const oldState = clock.state;
+
+        // 1. Check if the session has ended, by inactivity or by one of the break rules
+        const lastActivityTime = _lastActivityTime(oldState);
+        const source = tracksSource ? _trafficSource(context) : null;
+        const prevUID = finalConfig.identity ? clock.stored.uID || null : null;
+        const uID = finalConfig.identity && mode.uID !== undefined ? mode.uID : prevUID;
+        const isLogin = Boolean(uID && uID !== prevUID);
+        // A login rotates the sID only if the session does not end anyway
+        const sessionEndReason = sID
+            ? clock.futureReason || _breakReason(oldState, lastActivityTime, context, source)
+                || (isLogin && finalConfig.rotateSessionOnLogin ? 'login' : null)
+            : null;
+
+        // 2. Determine if new IDs are needed
         const isNewClient = !cID;
-        const isNewSession = !sID || isSessionExpired;
+        const isNewSession = !sID || sessionEndReason !== null;
 
-        // 4. Generate new IDs
-        const newEIDObj = pushID.newObj({...idOptions, stub: finalConfig.useStubs ? 'eID' : null});
+        // 3. Generate new IDs
+        // With a seed, the IDs are derived from it, so that the same seed at the same time gives the same IDs
+        const newID = (stub) => mode.seed === undefined
+            ? pushID.newID(_idOptions(stub))
+            : derivedIDs.newHashID({..._idOptions(stub), data: mode.seed});
+        const newEID = newID('eID');
+        const eventTime = new Date(pushID.decodeTime(newEID));
 
-        const finalCID = cID || (finalConfig.useStubs ? pushID.newID({...idOptions, stub: 'cID'}) : newEIDObj.id);
-        const finalSID = isNewSession ? (finalConfig.useStubs ? pushID.newID({
-            ...idOptions,
-            stub: 'sID'
-        }) : newEIDObj.id) : sID;
+        const finalCID = cID || mode.clientID || (finalConfig.useStubs ? newID('cID') : newEID);
+        const finalSID = isNewSession ? (finalConfig.useStubs ? newID('sID') : newEID) : sID;
 
-        // 5. Calculate the new sequence ID
+        // 4. Calculate the new sequence ID
         let sessionNum = 1;
         let sessionEventNum = 1;
         if (seqID && !isNewSession) {
@@ -173,30 +550,1107 @@ export const sessionManager = (config = {}) => {
         }
         const finalSeqID = `${sessionNum}-${sessionEventNum}`;
 
-        // 6. Construct the new state
+        // 5. Construct the new state
         const newState = {
-            cID: finalCID, sID: finalSID, eID: newEIDObj.id, seqID: finalSeqID,
+            cID: finalCID, sID: finalSID, eID: newEID, seqID: finalSeqID,
             clientTime: new Date(pushID.decodeTime(finalCID)),
             sessionTime: new Date(pushID.decodeTime(finalSID)),
-            eventTime: newEIDObj.date
+            eventTime
         };
+        // A new session takes the source of its first event; a continuing one keeps its source
+        if (tracksSource) newState.src = source ? source.fingerprint : (isNewSession ? null : clock.stored.src);
+        if (finalConfig.identity) newState.uID = uID;
 
-        const changes = {isNewClient, isNewSession};
+        const endedSession = sessionEndReason ? _summarize(oldState, sessionEndReason) : null;
+        const changes = {
+            isNewClient, isNewSession, rejectedKeys: [], endedSession, sessionEndReason,
+            consent: mode.consent || 'granted', anonymous: Boolean(mode.anonymous), privacySignal: mode.privacySignal || null,
+            isLogin, isLogout: Boolean(prevUID && !uID), futureKeys: clock.futureKeys,
+            aliases: isLogin ? [{
+                type: 'alias', uID, cID: finalCID, previousUID: prevUID, sID: finalSID, eID: newEID, time: eventTime
+            }] : [],
+        };
+        return {oldState, newState, changes};
+    };
+
+    /**
+     * Summarizes a session from the state it left in storage.
+     * @private
+     * @param {SessionState} state - The stored state of the session.
+     * @param {string} endReason - Why the session ended.
+     * @returns {SessionSummary|null} The summary, or null if the session's start time cannot be decoded.
+     */
+    const _summarize = (state, endReason) => {
+        if (!state.sessionTime) return null;
+        const lastActivityTime = state.eventTime && state.eventTime > state.sessionTime ? state.eventTime : state.sessionTime;
+        const parts = state.seqID ? state.seqID.split('-').map(Number) : [];
+        const valid = parts.length === 2 && Number.isInteger(parts[0]) && Number.isInteger(parts[1]);
+        return {
+            cID: state.cID,
+            sID: state.sID,
+            sessionNum: valid ? parts[0] : null,
+            startTime: state.sessionTime,
+            lastActivityTime,
+            duration: lastActivityTime.getTime() - state.sessionTime.getTime(),
+            eventCount: valid ? parts[1] : null,
+            endReason,
+        };
+    };
+
+    /**
+     * Calls the configured lifecycle hooks for a processed session. A hook that throws or rejects
+     * is reported to `onError` and never fails the event, which has already been persisted.
+     * @private
+     * @param {ProcessedSession} session - The processed session.
+     * @returns {Promise<void>[]} The pending results of asynchronous hooks.
+     */
+    const _runHooks = (session) => {
+        const {changes} = session;
+        const calls = [];
+        if (changes.endedSession) calls.push(['onSessionEnd', changes.endedSession, session]);
+        if (changes.isNewClient) calls.push(['onNewClient', session]);
+        if (changes.isNewSession) calls.push(['onSessionStart', session]);
+        calls.push(['onEvent', session]);
+
+        return calls.map(([name, ...args]) => _callHook(name, ...args)).filter(Boolean);
+    };
+
+    /**
+     * Passes a failure that must not fail the event to the `onError` option, if it is set. An
+     * `onError` that throws itself is ignored.
+     * @private
+     * @param {*} error - The error.
+     * @param {string} source - What failed, e.g. the name of a hook.
+     */
+    const _reportError = (error, source) => {
+        if (typeof finalConfig.onError !== 'function') return;
+        try {
+            finalConfig.onError(error, {source});
+        } catch (e) {
+            // Reporting must never fail the event either
+        }
+    };
+
+    /**
+     * Calls one lifecycle hook, if it is configured. A hook that throws or rejects is reported to
+     * `onError`.
+     * @private
+     * @param {string} name - The name of the hook.
+     * @param {...*} args - The arguments of the hook.
+     * @returns {Promise<void>|null} The pending result of an asynchronous hook, or null.
+     */
+    const _callHook = (name, ...args) => {
+        if (typeof finalConfig[name] !== 'function') return null;
+        const report = (e) => _reportError(e, name);
+        try {
+            const returned = finalConfig[name](...args);
+            return _isThenable(returned) ? Promise.resolve(returned).catch(report) : null;
+        } catch (e) {
+            report(e);
+            return null;
+        }
+    };
+
+    /**
+     * Returns true if the value is a Promise or another thenable.
+     * @private
+     * @param {*} value - The value to check.
+     * @returns {boolean} True for thenables.
+     */
+    const _isThenable = (value) => value !== null && (typeof value === 'object' || typeof value === 'function')
+        && typeof value.then === 'function';
 
-        // 7. Persist the new state using the storage handler
+    /**
+     * The storage key of the packed state.
+     * @type {string}
+     */
+    const STATE_KEY = 'state';
+
+    /**
+     * The versions of the packed format, written as its first field, with their number of fields.
+     * Version 2 adds the uID, and is only written with identity stitching enabled.
+     * @type {Object<string, number>}
+     */
+    const PACKED_VERSIONS = {1: 7, 2: 8};
+
+    /**
+     * Separates the fields of the packed format. It never occurs in pushIDs or signed values, and
+     * cookies store it without encoding.
+     * @type {string}
+     */
+    const PACKED_SEPARATOR = '!';
+
+    /**
+     * Marks values read from the four-key layout, which must be removed once the packed state is written.
+     * @type {symbol}
+     */
+    const LEGACY_LAYOUT = Symbol('legacyLayout');
+
+    /**
+     * The sID field of a packed state whose session was ended with `endSession` or `rotateClient`.
+     * It is not a valid pushID, and an empty field already means "equal to the cID".
+     * @type {string}
+     */
+    const PACKED_NO_SESSION = '-';
+
+    /**
+     * Computes the checksum of a packed state.
+     * @private
+     * @param {string} body - The packed fields.
+     * @returns {string} A 6-character checksum.
+     */
+    const _checksum = (body) => pushID.hash(body, 12, {version: 2}).substring(0, 6);
+
+    /**
+     * Packs the session values into the compact format:
+     * `1!cID!sID!eID!seqID!src!checksum`, or `2!cID!sID!eID!seqID!src!uID!checksum` with identity
+     * stitching. An sID equal to the cID, and an eID equal to the sID, are stored as empty fields;
+     * a missing sID is stored as `-`.
+     * @private
+     * @param {Object<string, (string|null)>} values - The values keyed by `KEYS`.
+     * @returns {string} The packed state.
+     */
+    const _pack = (values) => {
+        const {cID, sID, eID, seqID} = values;
+        const sIDField = sID ? (sID === cID ? '' : sID) : PACKED_NO_SESSION;
+        const fields = [finalConfig.identity ? '2' : '1', cID, sIDField, eID === sID ? '' : eID, seqID, values.src || ''];
+        if (finalConfig.identity) fields.push(values.uID || '');
+        const body = fields.join(PACKED_SEPARATOR);
+        return body + PACKED_SEPARATOR + _checksum(body);
+    };
+
+    /**
+     * Unpacks a state written by `_pack`.
+     * @private
+     * @param {string|null} packed - The packed state.
+     * @returns {Object<string, (string|null)>|null} The values, or null if the state is missing, of an
+     * unknown version, or fails its checksum.
+     */
+    const _unpack = (packed) => {
+        if (!packed) return null;
+        const fields = packed.split(PACKED_SEPARATOR);
+        const count = PACKED_VERSIONS[fields[0]];
+        if (!count || fields.length !== count || !fields[1]) return null;
+        if (_checksum(fields.slice(0, count - 1).join(PACKED_SEPARATOR)) !== fields[count - 1]) return null;
+        const cID = fields[1];
+        const sID = fields[2] === PACKED_NO_SESSION ? null : fields[2] || cID;
+        const uID = count === 8 ? fields[6] || null : null;
+        return {cID, sID, eID: fields[3] || sID, seqID: fields[4] || null, src: fields[5] || null, uID};
+    };
+
+    /**
+     * Converts the raw values read from storage into session values, unpacking the packed state
+     * or falling back to the four-key layout.
+     * @private
+     * @param {Object<string, (string|null|undefined)>|null|undefined} raw - The values read, keyed by storage key.
+     * @returns {Object<string, (string|null)>} The values keyed by `KEYS`.
+     */
+    const _fromStorage = (raw) => {
+        if (!finalConfig.packed) return _normalize(raw);
+        const unpacked = _unpack(raw && raw[STATE_KEY]);
+        const stored = _normalize(unpacked || raw);
+        if (raw && KEYS.some(key => raw[key])) stored[LEGACY_LAYOUT] = true;
+        return stored;
+    };
+
+    /**
+     * Normalizes the values read from storage to an object with every key of `KEYS`.
+     * @private
+     * @param {Object<string, (string|null|undefined)>|null|undefined} values - The values read.
+     * @returns {Object<string, (string|null)>} The values, with missing keys set to null.
+     */
+    const _normalize = (values) => {
+        const stored = {};
+        for (const key of KEYS) stored[key] = (values && values[key]) || null;
+        return stored;
+    };
+
+    /**
+     * Reads all keys from the storage handler in a single batch.
+     * @private
+     * @param {StorageHandler} storageHandler - The storage handler to read from.
+     * @returns {Object<string, (string|null)>|Promise<Object<string, (string|null)>>} The values keyed by `KEYS`,
+     * or a Promise of them if the storage handler is asynchronous.
+     */
+    const _read = (storageHandler) => {
+        // The packed layout also reads the four keys, to migrate them
+        const keys = finalConfig.packed ? [STATE_KEY, ...KEYS] : KEYS.slice();
+        if (typeof storageHandler.getAll === 'function') {
+            const values = storageHandler.getAll(keys);
+            return _isThenable(values) ? Promise.resolve(values).then(_fromStorage) : _fromStorage(values);
+        }
+        const values = keys.map(key => storageHandler.get(key));
+        const toObject = (list) => _fromStorage(Object.fromEntries(keys.map((key, i) => [key, list[i]])));
+        return values.some(_isThenable) ? Promise.all(values).then(toObject) : toObject(values);
+    };
+
+    /**
+     * Persists the given values through the storage handler with the appropriate expiry.
+     * @private
+     * @param {StorageHandler} storageHandler - The storage handler to write to.
+     * @param {Object<string, string>} values - The values to write, keyed by `KEYS`.
+     * @param {boolean} [removeLegacy=false] - Removes the four-key layout after writing the packed state.
+     * @returns {void|Promise<void>} A Promise if the storage handler writes asynchronously.
+     */
+    const _write = (storageHandler, values, removeLegacy = false) => {
+        // Expiry dates are enforced by the browser against its own clock, so they ignore `now` and the offset
         const cIDExpiry = new Date();
         cIDExpiry.setFullYear(cIDExpiry.getFullYear() + 2);
-        storageHandler.set('cID', newState.cID, {...storageHandler.config.cookieOptions, expires: cIDExpiry});
-
         const sessionExpiry = new Date(Date.now() + finalConfig.sessionTimeout);
-        const sessionCookieOptions = {...storageHandler.config.cookieOptions, expires: sessionExpiry};
-        storageHandler.set('sID', newState.sID, sessionCookieOptions);
-        storageHandler.set('eID', newState.eID, sessionCookieOptions);
-        storageHandler.set('seqID', newState.seqID, sessionCookieOptions);
+        const cookieOptions = storageHandler.config.cookieOptions;
+
+        const entries = {};
+        if (finalConfig.packed) {
+            // The session's expiry is checked against the IDs' timestamps, so the packed state lives as long as the cID
+            entries[STATE_KEY] = {value: _pack(values), options: {...cookieOptions, expires: cIDExpiry}};
+            if (removeLegacy) {
+                for (const key of KEYS) entries[key] = {value: '', options: {...cookieOptions, expires: new Date(0), maxAge: 0}};
+            }
+        } else {
+            for (const key of KEYS) {
+                const expires = key === 'cID' ? cIDExpiry : sessionExpiry;
+                // A missing value (such as an unset traffic source) is stored as empty, which reads back as null
+                const value = values[key] === null || values[key] === undefined ? '' : values[key];
+                entries[key] = {value, options: {...cookieOptions, expires}};
+            }
+        }
 
-        // 8. Return the comprehensive result object
-        return {...newState, newState, oldState, changes};
+        if (typeof storageHandler.setAll === 'function') return storageHandler.setAll(entries);
+        const results = Object.keys(entries).map(key => storageHandler.set(key, entries[key].value, entries[key].options));
+        if (results.some(_isThenable)) return Promise.all(results).then(() => undefined);
     };
 
-    return {process, config: finalConfig};
-};
\ No newline at end of file
+    /**
+     * The maximum number of anonymous sessions kept in memory. The least recently used are dropped first.
+     * @type {number}
+     */
+    const MAX_ANONYMOUS_SESSIONS = 10000;
+
+    /**
+     * The anonymous sessions of this manager, keyed by slot, in order of last use.
+     * @type {Map<string, Object<string, (string|null)>>}
+     */
+    const anonymousSessions = new Map();
+
+    /**
+     * The secret mixed into cookieless cIDs.
+     * @type {string}
+     */
+    const cookielessSalt = finalConfig.cookielessSalt || derivedIDs.newID({length: 24});
+
+    /**
+     * The current consent state.
+     * @type {ConsentState}
+     */
+    let consent = finalConfig.consent;
+
+    /**
+     * True once the consent state was set with `setConsent`, after which privacy signals no longer apply.
+     * @type {boolean}
+     */
+    let explicitConsent = false;
+
+    /**
+     * Returns the privacy signal sent by the client, from the context or, in the browser, from `navigator`.
+     * @private
+     * @param {SessionContext} context - The context of the event.
+     * @returns {('gpc'|'dnt'|null)} The signal, or null if none was sent or signals are not respected.
+     */
+    const _privacySignal = (context) => {
+        if (!finalConfig.respectPrivacySignals) return null;
+        if (context.gpc !== undefined || context.dnt !== undefined) {
+            return context.gpc ? 'gpc' : (context.dnt ? 'dnt' : null);
+        }
+        if (typeof navigator === 'undefined') return null;
+        if (navigator.globalPrivacyControl === true) return 'gpc';
+        const dnt = navigator.doNotTrack || (typeof window !== 'undefined' ? window.doNotTrack : null);
+        return dnt === '1' || dnt === 'yes' ? 'dnt' : null;
+    };
+
+    /**
+     * Returns the slot of the anonymous session an event belongs to. Events without a slot get a new
+     * session that is never kept, so they are not linked to any other event.
+     * - With consent 'denied', there is no slot.
+     * - In cookieless mode with a fingerprint, the slot is the cID derived from the fingerprint and
+     *   the current day (UTC), so it changes every day.
+     * - Otherwise, a browser's manager serves a single visitor and uses a single slot. Anywhere else
+     *   the manager serves many clients, and there is no slot.
+     * @private
+     * @param {SessionContext} context - The context of the event.
+     * @param {ConsentState} state - The consent state the event is processed under.
+     * @returns {{key: (string|null), clientID: (string|null)}} The slot key, or null for no slot, and the cID for
+     * a new client, if derived.
+     */
+    const _anonymousSlot = (context, state) => {
+        if (state === 'denied') return {key: null, clientID: null};
+        const {fingerprint} = context;
+        if (finalConfig.anonymousMode === 'cookieless' && fingerprint) {
+            const dayStart = Math.floor(_now() / 86400000) * 86400000;
+            const clientID = derivedIDs.newHashID({
+                data: {salt: cookielessSalt, day: dayStart, fingerprint: String(fingerprint)},
+                time: dayStart,
+                length: finalConfig.randomnessLength,
+                stub: finalConfig.useStubs ? 'cID' : null,
+            });
+            return {key: clientID, clientID};
+        }
+        const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+        return {key: isBrowser ? 'default' : null, clientID: null};
+    };
+
+    /**
+     * Creates a storage handler over one slot of the in-memory anonymous sessions. Without a slot,
+     * the handler reads nothing and its writes are discarded.
+     * @private
+     * @param {string|null} key - The slot key, or null for no slot.
+     * @returns {StorageHandler} The storage handler.
+     */
+    const _anonymousHandler = (key) => key === null ? {
+        getAll: (keys) => Object.fromEntries(keys.map(k => [k, null])),
+        setAll: () => {},
+        clear: () => {},
+        config: {},
+    } : ({
+        getAll: (keys) => {
+            const values = anonymousSessions.get(key) || {};
+            return Object.fromEntries(keys.map(k => [k, values[k] || null]));
+        },
+        setAll: (entries) => {
+            const values = {...anonymousSessions.get(key)};
+            for (const k of Object.keys(entries)) values[k] = entries[k].value || null;
+            // Reinserting moves the slot to the end, so that the oldest slot is the first
+            anonymousSessions.delete(key);
+            anonymousSessions.set(key, values);
+            if (anonymousSessions.size > MAX_ANONYMOUS_SESSIONS) anonymousSessions.delete(anonymousSessions.keys().next().value);
+        },
+        clear: () => {
+            anonymousSessions.delete(key);
+        },
+        config: {},
+    });
+
+    /**
+     * Returns a copy of the values with every non-null value signed.
+     * @private
+     * @param {Object<string, (string|null)>} values - The values keyed by `KEYS`.
+     * @param {import('./pushID.js').SigningKey} signingKey - The key to sign with.
+     * @returns {Promise<Object<string, (string|null)>>} The signed values.
+     */
+    const _signValues = async (values, signingKey) => {
+        const signed = {};
+        // Each value is signed for its key, so that one can never be passed off as another
+        for (const key of KEYS) signed[key] = values[key] ? await pushID.sign(values[key], signingKey, {purpose: key}) : null;
+        return signed;
+    };
+
+    /**
+     * The maximum number of cIDs the alias store keeps per user. The oldest are dropped first.
+     * @type {number}
+     */
+    const MAX_ALIASES_PER_USER = 100;
+
+    /**
+     * The lifetime of a user's alias record in seconds, as long as a cID.
+     * @type {number}
+     */
+    const ALIAS_TTL = 2 * 365 * 24 * 60 * 60;
+
+    /**
+     * Derives the stable User ID of an account. The same account key always gives the same uID,
+     * on every device and server, as long as `userSalt` is unchanged.
+     *
+     * @param {string|number} accountKey - The key of the account, such as its database ID.
+     * @returns {string} The uID.
+     * @throws {Error} If no account key is given.
+     *
+     * @example
+     * const manager = sessionManager({ identity: true, userSalt: env.USER_SALT });
+     * manager.uIDFor(user.id); // -> "00000000aV5gdujR3prT"
+     */
+    const uIDFor = (accountKey) => {
+        if (accountKey === undefined || accountKey === null || accountKey === '') {
+            throw new Error("An account key must be provided.");
+        }
+        // A fixed time, so that the uID depends on the account alone
+        return derivedIDs.newHashID({
+            data: {salt: finalConfig.userSalt, user: String(accountKey)},
+            time: 0,
+            length: finalConfig.randomnessLength,
+            stub: finalConfig.useStubs ? 'uID' : null,
+        });
+    };
+
+    /**
+     * Records the alias links of a login in the alias store, and replaces `changes.aliases` with the
+     * links that are new to the user, each with the user's other cIDs. If the store fails, the
+     * failure is reported to `onError` and every link is reported.
+     * @private
+     * @param {SessionChanges} changes - The changes of the processed event.
+     * @returns {Promise<void>} A Promise that resolves when the links are recorded.
+     */
+    const _recordAliases = async (changes) => {
+        const store = finalConfig.aliasStore;
+        const aliases = [];
+        try {
+            for (const alias of changes.aliases) {
+                const key = `uID:${alias.uID}`;
+                const release = await store.lock(key);
+                try {
+                    const record = (await store.get(key)) || {cIDs: []};
+                    if (record.cIDs.includes(alias.cID)) continue;
+                    aliases.push({...alias, aliasOf: record.cIDs.slice()});
+                    const cIDs = [...record.cIDs, alias.cID].slice(-MAX_ALIASES_PER_USER);
+                    await store.put(key, {...record, cIDs, updatedAt: _now()}, {ttl: ALIAS_TTL});
+                } finally {
+                    await release();
+                }
+            }
+        } catch (e) {
+            _reportError(e, 'aliasStore');
+            return;
+        }
+        changes.aliases = aliases;
+    };
+
+    /**
+     * Resolves the storage handler, signing key, context and consent mode for a call to `process` or
+     * `processAsync`. Without consent, the storage handler is replaced by an anonymous in-memory one.
+     * @private
+     * @param {object} options - The options passed to `process`.
+     * @returns {{storageHandler: StorageHandler, signingKey: (import('./pushID.js').SigningKey|null), context: SessionContext, mode: ProcessingMode}} The resolved values.
+     * @throws {Error} If a storageHandler is not provided, `options.consent` is invalid, or a `userID` is
+     * given without identity stitching.
+     */
+    const _resolve = (options) => {
+        const {storageHandler} = options;
+        if (!storageHandler) {
+            throw new Error("A storageHandler must be provided in the options.");
+        }
+        if (options.consent !== undefined && !CONSENT_STATES.includes(options.consent)) {
+            throw new Error(`Invalid consent "${options.consent}".`);
+        }
+        const context = options.context || {};
+        const privacySignal = _privacySignal(context);
+        let effectiveConsent = options.consent || consent;
+        // An explicit choice of the user overrides the browser's signal; the configured default does not
+        if (privacySignal && !options.consent && !explicitConsent && effectiveConsent === 'granted') effectiveConsent = 'pending';
+
+        if (effectiveConsent !== 'granted') {
+            const slot = _anonymousSlot(context, effectiveConsent);
+            return {
+                storageHandler: _anonymousHandler(slot.key),
+                signingKey: null,
+                context,
+                mode: {consent: effectiveConsent, anonymous: true, privacySignal, clientID: slot.clientID},
+            };
+        }
+        if (options.userID !== undefined && !finalConfig.identity) {
+            throw new Error("A userID requires identity stitching; enable it with the identity option.");
+        }
+        const signingKey = options.signingKey
+            || (storageHandler.config && storageHandler.config.signingKey)
+            || finalConfig.signingKey
+            || null;
+        const uID = options.userID === undefined ? undefined : (options.userID ? uIDFor(options.userID) : null);
+        const mode = {consent: effectiveConsent, anonymous: false, privacySignal: null, uID, seed: options.seed};
+        // Consent given per request, as on a server, promotes the anonymous session like `setConsent` does
+        if (anonymousSessions.size > 0) {
+            const slot = _anonymousSlot(context, 'pending');
+            if (slot.key !== null && anonymousSessions.has(slot.key)) {
+                mode.promoted = _fromStorage(anonymousSessions.get(slot.key));
+                anonymousSessions.delete(slot.key);
+            }
+        }
+        return {storageHandler, signingKey, context, mode};
+    };
+
+    /**
+     * Verifies the signed values read from storage.
+     * @private
+     * @param {Object<string, (string|null)>} raw - The values read, keyed by `KEYS`.
+     * @param {import('./pushID.js').SigningKey|null} signingKey - The key to verify with, if any.
+     * @returns {Promise<{stored: Object<string, (string|null)>, rejectedKeys: string[]}>} The verified values,
+     * with forged ones set to null, and the keys of the forged values.
+     */
+    const _verify = async (raw, signingKey) => {
+        const stored = {};
+        const rejectedKeys = [];
+        for (const key of KEYS) {
+            stored[key] = raw[key] && signingKey ? await pushID.verify(raw[key], signingKey, {purpose: key}) : raw[key];
+            if (raw[key] && stored[key] === null) rejectedKeys.push(key);
+        }
+        return {stored, rejectedKeys};
+    };
+
+    /**
+     * Reads and verifies the stored values. Synchronous like `process`: the result is a Promise
+     * only if the storage handler is asynchronous or a signing key is used.
+     * @private
+     * @param {{storageHandler: StorageHandler, signingKey: (import('./pushID.js').SigningKey|null)}} resolved - From `_resolve`.
+     * @returns {Object<string, (string|null)>|Promise<Object<string, (string|null)>>} The values keyed by `KEYS`.
+     */
+    const _readVerified = ({storageHandler, signingKey}) => {
+        const raw = _read(storageHandler);
+        if (!signingKey) return raw;
+        return Promise.resolve(raw).then(values => _verify(values, signingKey)).then(({stored}) => stored);
+    };
+
+    /**
+     * Runs a read-modify-write cycle other than an event, inside the storage handler's transaction
+     * if it has one. `fn` receives the verified values and returns the values to write, if any, and
+     * the result. Synchronous like `process`.
+     * @private
+     * @param {{storageHandler: StorageHandler, signingKey: (import('./pushID.js').SigningKey|null)}} resolved - From `_resolve`.
+     * @param {function(Object<string, (string|null)>): {values: (Object<string, (string|null)>|undefined), result: *}} fn -
+     * Derives the update from the stored values.
+     * @returns {*|Promise<*>} The result of `fn`.
+     */
+    const _transact = ({storageHandler, signingKey}, fn) => {
+        const run = async (read) => {
+            const raw = await (read || _read(storageHandler));
+            const {stored} = await _verify(raw, signingKey);
+            const {values, result} = fn(stored);
+            if (values) {
+                await _write(storageHandler, signingKey ? await _signValues(values, signingKey) : values, Boolean(raw[LEGACY_LAYOUT]));
+            }
+            return result;
+        };
+        if (typeof storageHandler.transaction === 'function') return storageHandler.transaction(() => run());
+        const raw = _read(storageHandler);
+        if (signingKey || _isThenable(raw)) return run(raw);
+
+        const {values, result} = fn(raw);
+        const written = values ? _write(storageHandler, values, Boolean(raw[LEGACY_LAYOUT])) : undefined;
+        return _isThenable(written) ? written.then(() => result) : result;
+    };
+
+    /**
+     * Calls `fn` with a value, or with its resolution if it is a Promise.
+     * @private
+     * @param {*|Promise<*>} value - The value.
+     * @param {function(*): *} fn - The function to call.
+     * @returns {*|Promise<*>} The result of `fn`, or a Promise of it.
+     */
+    const _then = (value, fn) => _isThenable(value) ? value.then(fn) : fn(value);
+
+    /**
+     * The asynchronous variant of `process`: awaits the read, verifies every stored value before
+     * use if a signing key is given, signs every value before it is written, and awaits the write.
+     * If the storage handler has a `transaction` method, the read and write run inside it.
+     * @private
+     * @param {{storageHandler: StorageHandler, signingKey: (import('./pushID.js').SigningKey|null), context: SessionContext, mode: ProcessingMode}} resolved -
+     * The storage handler, the key to sign and verify with (if any), the context and the consent mode, from `_resolve`.
+     * @param {Object<string, (string|null)>|Promise<Object<string, (string|null)>>} [read] - The result of
+     * `_read`, if the state was already read.
+     * @returns {Promise<ProcessedSession>} The processed session.
+     */
+    const _processAsync = async ({storageHandler, signingKey, context, mode}, read) => {
+        const run = async () => {
+            const raw = await (read || _read(storageHandler));
+            const {stored, rejectedKeys} = await _verify(raw, signingKey);
+
+            const {oldState, newState, changes} = _compute(stored, context, mode);
+            changes.rejectedKeys = rejectedKeys;
+
+            const values = signingKey ? await _signValues(newState, signingKey) : newState;
+            await _write(storageHandler, values, Boolean(raw[LEGACY_LAYOUT]));
+
+            return {...newState, newState, oldState, changes};
+        };
+        // Hooks run after the transaction, so that slow hooks never hold the client's lock
+        const result = await (typeof storageHandler.transaction === 'function' ? storageHandler.transaction(run) : run());
+        if (finalConfig.aliasStore && result.changes.aliases.length > 0) await _recordAliases(result.changes);
+        await Promise.all(_runHooks(result));
+        return result;
+    };
+
+    /**
+     * Processes a session event. It reads the previous state from the provided storageHandler,
+     * generates new IDs based on the session logic (checking for timeouts), and writes the
+     * new state back to the storageHandler.
+     *
+     * The four keys are read in one batch (`getAll`, if the handler has it) and written in one
+     * batch (`setAll`). The result is a Promise if the handler is asynchronous (its reads or
+     * writes return Promises, or it has a `transaction` method) or a signing key is configured
+     * (on the manager, the storage handler, or in `options`). With a synchronous handler and no
+     * key, the result is returned directly.
+     *
+     * The lifecycle hooks run after the new state is persisted. The returned Promise waits for
+     * asynchronous hooks; on the synchronous path they continue in the background.
+     *
+     * Without consent (see `setConsent`), or if the browser sends a privacy signal, the event is
+     * processed anonymously: the IDs are kept in the manager's memory, nothing is read from or
+     * written to the storage handler, and the result is returned directly.
+     *
+     * With an `aliasStore`, a login also makes the result a Promise, which resolves once the alias
+     * links are recorded.
+     *
+     * @param {object} options - The options for processing.
+     * @param {StorageHandler} options.storageHandler - The storage handler instance to use for getting and setting session data.
+     * @param {import('./pushID.js').SigningKey} [options.signingKey] - Overrides the configured signing key.
+     * @param {SessionContext} [options.context] - The page or request the event belongs to, for the
+     * campaign, referrer and custom session-break rules.
+     * @param {ConsentState} [options.consent] - Overrides the manager's consent state for this event, such as the
+     * consent read from a cookie on the server.
+     * @param {string|number|null} [options.userID] - The account key of the logged-in user, from which the uID is
+     * derived, or null when the user logs out. Omit it to keep the stored uID. Requires `identity`.
+     * @param {*} [options.seed] - Data from which the new IDs are derived with `pushID.newHashID`, instead of
+     * randomly. The same seed at the same time always gives the same IDs, such as for idempotent retries.
+     * @returns {ProcessedSession|Promise<ProcessedSession>} A comprehensive object detailing the session state before
+     * and after the event, or a Promise of it when the handler is asynchronous or a signing key is used.
+     * @throws {Error} If a storageHandler is not provided, `options.consent` is invalid, or a `userID` is
+     * given without identity stitching.
+     *
+     * @example
+     * // On the client-side with a clientStorage handler
+     * const manager = sessionManager();
+     * const storage = clientStorage(); // Assuming clientStorage is defined elsewhere
+     *
+     * const sessionData = manager.process({ storageHandler: storage });
+     * console.log(sessionData.changes.isNewSession); // true or false
+     * console.log(`Current session ID is ${sessionData.sID}`);
+     *
+     * @example
+     * // With signed values; tampered cookies are discarded
+     * const signedManager = sessionManager({ signingKey: env.SESSION_SECRET });
+     * const session = await signedManager.process({ storageHandler: storage });
+     * console.log(session.changes.rejectedKeys); // e.g. ['cID']
+     */
+    const process = (options = {}) => {
+        const resolved = _resolve(options);
+        const {storageHandler, signingKey, context, mode} = resolved;
+
+        // 1. Read the old state from storage; transactional handlers read inside their transaction
+        if (typeof storageHandler.transaction === 'function') return _processAsync(resolved);
+        const stored = _read(storageHandler);
+        if (signingKey || _isThenable(stored)) return _processAsync(resolved, stored);
+
+        // 2. Derive the new state
+        const {oldState, newState, changes} = _compute(stored, context, mode);
+
+        // 3. Persist the new state using the storage handler
+        const written = _write(storageHandler, newState, Boolean(stored[LEGACY_LAYOUT]));
+
+        // 4. Record the aliases of a login, run the lifecycle hooks and return the comprehensive result object
+        const result = {...newState, newState, oldState, changes};
+        const recorded = finalConfig.aliasStore && changes.aliases.length > 0 ? _recordAliases(changes) : null;
+        if (_isThenable(written) || recorded) {
+            return Promise.resolve(written).then(() => recorded).then(() => Promise.all(_runHooks(result))).then(() => result);
+        }
+        _runHooks(result);
+        return result;
+    };
+
+    /**
+     * Processes a session event like `process`, but always returns a Promise. Use it with
+     * asynchronous storage handlers such as IndexedDB, Workers KV or Durable Objects.
+     *
+     * @param {object} options - The options for processing.
+     * @param {StorageHandler} options.storageHandler - The storage handler instance to use.
+     * @param {import('./pushID.js').SigningKey} [options.signingKey] - Overrides the configured signing key.
+     * @param {SessionContext} [options.context] - The page or request the event belongs to.
+     * @param {ConsentState} [options.consent] - Overrides the manager's consent state for this event.
+     * @param {string|number|null} [options.userID] - The account key of the logged-in user, or null on logout.
+     * @param {*} [options.seed] - Data from which the new IDs are derived instead of randomly.
+     * @returns {Promise<ProcessedSession>} The processed session.
+     *
+     * @example
+     * // A storage handler backed by Workers KV, keyed by cID
+     * const session = await manager.processAsync({ storageHandler: kvStorage });
+     */
+    const processAsync = async (options = {}) => {
+        return _processAsync(_resolve(options));
+    };
+
+    /**
+     * Returns the reason the stored session has ended by itself, without a new event: by
+     * inactivity, by its maximum duration, at midnight, or by a custom rule.
+     * @private
+     * @param {SessionState} state - The stored state.
+     * @param {SessionContext} context - The context, for custom rules.
+     * @returns {string|null} The reason, or null if the session is still active.
+     */
+    const _expiryReason = (state, context) => _breakReason(state, _lastActivityTime(state), context, null);
+
+    /**
+     * Decodes the stored values for `peek`, `touch`, `endSession` and `rotateClient`, applying the
+     * `futureIDPolicy`, and returns the reason the session has ended by itself, if it has.
+     * @private
+     * @param {Object<string, (string|null)>} stored - The values read from storage.
+     * @param {SessionContext} context - The context, for custom rules.
+     * @returns {{stored: Object<string, (string|null)>, state: SessionState, sessionEndReason: (string|null)}} The decoded state.
+     */
+    const _inspect = (stored, context) => {
+        const clock = _applyClock(stored);
+        const {state} = clock;
+        const sessionEndReason = state.sID ? clock.futureReason || _expiryReason(state, context) : null;
+        return {stored: clock.stored, state, sessionEndReason};
+    };
+
+    /**
+     * Reads and decodes the current state without writing anything or counting an event.
+     *
+     * The result is returned directly for a synchronous storage handler. It is a Promise if the
+     * handler is asynchronous or a signing key is used.
+     *
+     * @param {object} options - The options.
+     * @param {StorageHandler} options.storageHandler - The storage handler to read from.
+     * @param {import('./pushID.js').SigningKey} [options.signingKey] - Overrides the configured signing key.
+     * @param {SessionContext} [options.context] - The context, for custom session-break rules and consent.
+     * @param {ConsentState} [options.consent] - Overrides the manager's consent state.
+     * @returns {PeekedSession|Promise<PeekedSession>} The current state.
+     * @throws {Error} If a storageHandler is not provided.
+     *
+     * @example
+     * const { sID, isActive, expiresAt } = manager.peek({ storageHandler: storage });
+     * if (isActive) console.log(`Session ${sID} expires at ${expiresAt.toISOString()}`);
+     */
+    const peek = (options = {}) => {
+        const resolved = _resolve(options);
+        return _then(_readVerified(resolved), (stored) => {
+            const {state, sessionEndReason} = _inspect(stored, resolved.context);
+            const lastActivityTime = _lastActivityTime(state);
+            return {
+                ...state,
+                isActive: Boolean(state.sID) && sessionEndReason === null,
+                expiresAt: state.sID && lastActivityTime ? new Date(lastActivityTime + finalConfig.sessionTimeout) : null,
+                sessionEndReason,
+            };
+        });
+    };
+
+    /**
+     * Extends the current session without counting an event, such as for background polling or a
+     * health check. The stored eID is replaced by a new one, which marks the time of the activity,
+     * while the seqID stays unchanged. The hooks are not called. An ended session is not revived.
+     *
+     * @param {object} options - The options, as for `peek`.
+     * @param {StorageHandler} options.storageHandler - The storage handler to use.
+     * @returns {PeekedSession|null|Promise<PeekedSession|null>} The extended state, or null if there is no
+     * active session. A Promise if the handler is asynchronous or a signing key is used.
+     * @throws {Error} If a storageHandler is not provided.
+     *
+     * @example
+     * // Keep the session alive while a video plays, without inflating the event count
+     * setInterval(() => manager.touch({ storageHandler: storage }), 5 * 60 * 1000);
+     */
+    const touch = (options = {}) => {
+        const resolved = _resolve(options);
+        return _transact(resolved, (stored) => {
+            const {state, sessionEndReason} = _inspect(stored, resolved.context);
+            if (!state.sID || sessionEndReason !== null) return {result: null};
+            const eID = pushID.newObj(_idOptions('eID'));
+            const values = {...stored, eID: eID.id};
+            return {
+                values,
+                result: {
+                    ..._decode(values), isActive: true,
+                    expiresAt: new Date(eID.date.getTime() + finalConfig.sessionTimeout), sessionEndReason: null,
+                },
+            };
+        });
+    };
+
+    /**
+     * Ends the current session without counting an event. The next event starts a new session with
+     * the next session number. The `onSessionEnd` hook is called with the summary and a null session.
+     *
+     * @param {object} options - The options, as for `peek`.
+     * @param {StorageHandler} options.storageHandler - The storage handler to use.
+     * @param {string} [options.reason='manual'] - The end reason reported for a session that is still active.
+     * A session that has already ended by itself is reported with the reason it ended for.
+     * @returns {SessionSummary|null|Promise<SessionSummary|null>} The summary of the ended session, or null if
+     * there was none. A Promise if the handler is asynchronous or a signing key is used.
+     * @throws {Error} If a storageHandler is not provided.
+     *
+     * @example
+     * // On logout
+     * const summary = manager.endSession({ storageHandler: storage, reason: 'logout' });
+     */
+    const endSession = (options = {}) => {
+        const resolved = _resolve(options);
+        const ended = _transact(resolved, (stored) => {
+            if (!stored.sID) return {result: null};
+            const {state, sessionEndReason} = _inspect(stored, resolved.context);
+            const summary = state.sID ? _summarize(state, sessionEndReason || options.reason || 'manual') : null;
+            const values = {...stored, sID: null, eID: null};
+            if (tracksSource) values.src = null;
+            return {values, result: summary};
+        });
+        return _then(ended, (summary) => {
+            const pending = summary ? _callHook('onSessionEnd', summary, null) : null;
+            return pending ? pending.then(() => summary) : summary;
+        });
+    };
+
+    /**
+     * Replaces the cID with a new one, so that later events cannot be linked to the earlier ones,
+     * such as when a shared device changes hands. The current session ends with the reason
+     * 'clientRotated', and the uID is detached. No event is counted; the next event starts the new
+     * client's first session. The `onNewClient` hook is not called, as the new cID is already returned.
+     *
+     * @param {object} options - The options, as for `peek`.
+     * @param {StorageHandler} options.storageHandler - The storage handler to use.
+     * @returns {{cID: string, previousCID: (string|null), endedSession: (SessionSummary|null)}|Promise<{cID: string, previousCID: (string|null), endedSession: (SessionSummary|null)}>}
+     * The new cID, the replaced one, and the summary of the ended session. A Promise if the handler is
+     * asynchronous or a signing key is used.
+     * @throws {Error} If a storageHandler is not provided.
+     */
+    const rotateClient = (options = {}) => {
+        const resolved = _resolve(options);
+        const rotated = _transact(resolved, (stored) => {
+            const {state, sessionEndReason} = _inspect(stored, resolved.context);
+            const endedSession = state.sID ? _summarize(state, sessionEndReason || 'clientRotated') : null;
+            const cID = pushID.newID(_idOptions('cID'));
+            const values = {cID, sID: null, eID: null, seqID: null};
+            if (tracksSource) values.src = null;
+            if (finalConfig.identity) values.uID = null;
+            return {values, result: {cID, previousCID: stored.cID || null, endedSession}};
+        });
+        return _then(rotated, (result) => {
+            const pending = result.endedSession ? _callHook('onSessionEnd', result.endedSession, null) : null;
+            return pending ? pending.then(() => result) : result;
+        });
+    };
+
+    /**
+     * Learns the offset of the server's clock from this machine's clock, so that session decisions
+     * and new IDs use the server's time. Call it with a response from your server; later calls
+     * replace the offset. HTTP dates only have a precision of one second, so offsets below one second
+     * learned from them are ignored.
+     *
+     * @param {Response|Headers|Date|number|string} source - A response or its headers, from which the
+     * `serverTimeHeader` is read, or the server time itself.
+     * @returns {number} The offset in milliseconds that is now in use. Unchanged if no time could be read.
+     *
+     * @example
+     * const response = await fetch('/api/config');
+     * manager.syncClock(response); // e.g. -3600000 if this device's clock is an hour fast
+     */
+    const syncClock = (source) => {
+        let value = source;
+        if (source && typeof source === 'object' && !(source instanceof Date)) {
+            const headers = source.headers || source;
+            value = typeof headers.get === 'function' ? headers.get(finalConfig.serverTimeHeader) : null;
+        }
+
+        let serverTime = NaN;
+        let precision = 0;
+        if (value instanceof Date) serverTime = value.getTime();
+        else if (typeof value === 'number') serverTime = value;
+        else if (typeof value === 'string' && /^\d+$/.test(value.trim())) serverTime = Number(value);
+        else if (typeof value === 'string') {
+            serverTime = Date.parse(value);
+            precision = 1000;
+        }
+        if (!Number.isFinite(serverTime)) return clockOffset;
+
+        const offset = serverTime - (finalConfig.now ? finalConfig.now() : Date.now());
+        clockOffset = Math.abs(offset) < precision ? 0 : offset;
+        return clockOffset;
+    };
+
+    /**
+     * Sets the user's consent to persistent identifiers. It applies to every later event of this
+     * manager and overrides the browser's privacy signals. On a server, where one manager serves
+     * every client, pass `options.consent` to `process` instead.
+     *
+     * - 'granted' promotes the current anonymous session: its IDs are written through the storage
+     *   handler, so that the session continues with the same cID, sID and seqID. If the handler
+     *   already holds a cID, that client is kept instead.
+     * - 'denied' wipes everything: the storage handler's `clear` is called and the anonymous
+     *   session is dropped.
+     * - 'pending' only changes the state; later events are anonymous again.
+     *
+     * @param {ConsentState} state - The new consent state.
+     * @param {object} [options={}] - The options.
+     * @param {StorageHandler} [options.storageHandler] - The storage handler to promote to or to clear.
+     * @param {import('./pushID.js').SigningKey} [options.signingKey] - Overrides the configured signing key.
+     * @param {SessionContext} [options.context] - The context of the anonymous session. Pass the same
+     * `fingerprint` as to `process`.
+     * @returns {void|Promise<void>} A Promise if the storage handler is asynchronous or a signing key is used.
+     * @throws {Error} If the state is invalid.
+     *
+     * @example
+     * const manager = sessionManager({ consent: 'pending' });
+     * const storage = clientStorage();
+     * manager.process({ storageHandler: storage }); // Kept in memory only
+     *
+     * // When the user accepts the consent banner
+     * manager.setConsent('granted', { storageHandler: storage });
+     * manager.process({ storageHandler: storage }); // Same sID, next seqID, now persisted
+     */
+    const setConsent = (state, options = {}) => {
+        if (!CONSENT_STATES.includes(state)) throw new Error(`Invalid consent "${state}".`);
+        consent = state;
+        explicitConsent = true;
+
+        if (state === 'pending') return;
+
+        const {storageHandler} = options;
+        const slot = _anonymousSlot(options.context || {}, 'pending');
+        const raw = anonymousSessions.get(slot.key);
+        anonymousSessions.delete(slot.key);
+        if (state === 'denied') return storageHandler ? storageHandler.clear() : undefined;
+
+        const values = _fromStorage(raw);
+        if (!storageHandler || !values.cID) return;
+        const signingKey = options.signingKey
+            || (storageHandler.config && storageHandler.config.signingKey)
+            || finalConfig.signingKey
+            || null;
+        // An existing persisted client always takes precedence over the anonymous one
+        const promoted = _transact({storageHandler, signingKey}, (stored) => ({values: stored.cID ? undefined : values}));
+        return _then(promoted, () => undefined);
+    };
+
+    /**
+     * Returns the current consent state.
+     *
+     * @returns {ConsentState} The consent state set with `setConsent`, or the configured one.
+     */
+    const getConsent = () => consent;
+
+    return {
+        process, processAsync, peek, touch, endSession, rotateClient, syncClock, setConsent, getConsent, uIDFor,
+        config: finalConfig,
+    };
+};
+/**
+ * @typedef {object} ReplayEvent
+ * @property {string} cID - The Client ID the event belongs to. IDs that are not pushIDs are kept as they are.
+ * @property {Date|number|string} time - The time of the event, as a Date, milliseconds or a date string.
+ * @property {string} [url] - The URL of the event, for the campaign and referrer rules.
+ * @property {string} [referrer] - The referrer of the event.
+ * @property {Object<string, string>} [campaign] - The campaign parameters of the event, if they are not in the `url`.
+ * @property {string|number|null} [userID] - The account key of the logged-in user, if identity stitching is enabled.
+ */
+
+/**
+ * @typedef {object} ReplayAssignment
+ * @property {number} index - The index of the event in the input.
+ * @property {string} cID - The Client ID.
+ * @property {string} sID - The Session ID assigned to the event.
+ * @property {string} eID - The Event ID assigned to the event.
+ * @property {string} seqID - The Sequence ID assigned to the event.
+ * @property {Date} time - The time of the event.
+ * @property {boolean} isNewClient - True for the first event of the client in the log.
+ * @property {boolean} isNewSession - True if the event started a session.
+ * @property {string|null} sessionEndReason - Why the previous session ended, if the event ended it.
+ * @property {string|null} [uID] - The User ID, if identity stitching is enabled.
+ */
+
+/**
+ * @typedef {object} ReplayResult
+ * @property {ReplayAssignment[]} events - The assignments, in the order of the input events.
+ * @property {SessionSummary[]} sessions - A summary of every session, ordered by start time. Sessions still open
+ * at the end of the log have an `endReason` of null.
+ */
+
+/**
+ * Sessionizes a historical event log offline, with the same rules as `process`. The events are
+ * replayed in time order through an in-memory storage handler per client, with each event's time
+ * as the current time. The IDs are derived with `pushID.newHashID` from the cID, the time and the
+ * number of earlier events of the client at the same time, so that replaying the same log always
+ * assigns the same IDs.
+ *
+ * The lifecycle hooks are not called; the summaries are returned instead. Consent, privacy signals,
+ * signing, the packed layout and the alias store do not apply.
+ *
+ * @param {ReplayEvent[]} events - The events. They need not be sorted.
+ * @param {SessionManagerConfig} [config={}] - The configuration of the session rules, as for `sessionManager`.
+ * @returns {ReplayResult} The assignments and the session summaries.
+ * @throws {Error} If the events are not an array, or an event has no cID or an invalid time.
+ *
+ * @example
+ * const { events, sessions } = sessionManager.replay([
+ *   { cID: 'legacy-42', time: '2026-03-01T10:00:00Z', url: 'https://example.com/?utm_source=mail' },
+ *   { cID: 'legacy-42', time: '2026-03-01T10:05:00Z' },
+ *   { cID: 'legacy-42', time: '2026-03-01T12:00:00Z' }
+ * ], { breakOnCampaignChange: true });
+ * events.map(e => e.seqID); // -> ['1-1', '1-2', '2-1']
+ * sessions[0].endReason;    // -> 'timeout'
+ */
+sessionManager.replay = (events, config = {}) => {
+    if (!Array.isArray(events)) throw new Error("The events must be an array.");
+
+    const ordered = events.map((event, index) => {
+        if (!event || !event.cID) throw new Error(`Event ${index} has no cID.`);
+        const time = new Date(event.time).getTime();
+        if (event.time === undefined || event.time === null || !Number.isFinite(time)) {
+            throw new Error(`Event ${index} has an invalid time.`);
+        }
+        return {event, index, time};
+    });
+    // Array.prototype.sort is stable, so events at the same time keep their input order
+    ordered.sort((a, b) => a.time - b.time);
+
+    let now = 0;
+    const manager = sessionManager({
+        ...config,
+        now: () => now,
+        clockOffset: 0,
+        // Replayed IDs are never in the future, and legacy cIDs have no meaningful timestamp
+        clockSkew: Infinity,
+        signingKey: null,
+        packed: false,
+        consent: 'granted',
+        respectPrivacySignals: false,
+        aliasStore: null,
+        onNewClient: null,
+        onSessionStart: null,
+        onSessionEnd: null,
+        onEvent: null,
+    });
+
+    const clients = new Map();
+    const assignments = new Array(events.length);
+    const sessions = [];
+    for (const {event, index, time} of ordered) {
+        let client = clients.get(event.cID);
+        const isNewClient = !client;
+        if (isNewClient) {
+            const values = {cID: event.cID};
+            client = {values, lastTime: null, sameTimeCount: 0, storageHandler: {
+                getAll: (keys) => Object.fromEntries(keys.map(key => [key, values[key] || null])),
+                setAll: (entries) => {
+                    for (const key of Object.keys(entries)) values[key] = entries[key].value || null;
+                },
+                clear: () => Object.keys(values).forEach(key => delete values[key]),
+                config: {},
+            }};
+            clients.set(event.cID, client);
+        }
+        client.sameTimeCount = client.lastTime === time ? client.sameTimeCount + 1 : 0;
+        client.lastTime = time;
+
+        now = time;
+        const session = manager.process({
+            storageHandler: client.storageHandler,
+            context: {url: event.url, referrer: event.referrer, campaign: event.campaign},
+            seed: {cID: event.cID, time, n: client.sameTimeCount},
+            ...(config.identity && event.userID !== undefined && {userID: event.userID}),
+        });
+        if (session.changes.endedSession) sessions.push(session.changes.endedSession);
+
+        const assignment = {
+            index, cID: session.cID, sID: session.sID, eID: session.eID, seqID: session.seqID,
+            time: session.eventTime, isNewClient, isNewSession: session.changes.isNewSession,
+            sessionEndReason: session.changes.sessionEndReason,
+        };
+        if (config.identity) assignment.uID = session.uID;
+        assignments[index] = assignment;
+    }
+
+    // Sessions still open at the end of the log may already have ended by the time of its last event
+    now = ordered.length > 0 ? ordered[ordered.length - 1].time : 0;
+    for (const client of clients.values()) {
+        const state = manager.peek({storageHandler: client.storageHandler});
+        if (!state.sID) continue;
+        const summary = manager.endSession({storageHandler: client.storageHandler});
+        if (summary) sessions.push({...summary, endReason: state.isActive ? null : state.sessionEndReason});
+    }
+    sessions.sort((a, b) => a.startTime - b.startTime);
+
+    return {events: assignments, sessions};
+};
@@ -0,0 +1,386 @@
+import {pushID} from './pushID.js';
+
+/**
+ * @fileoverview Server-side session stores for the sessionManager.
+ * @version 1.0.0
+ *
+ * A session store holds the authoritative `sID`, `eID` and `seqID` of every client, keyed by its
+ * cID, so that the cookie only needs to carry the (signed) cID. Clearing one cookie then no longer
+ * resets the sequence, and a per-client lock keeps concurrent requests from forking the session.
+ *
+ * - `memoryStore()` keeps records in memory, for tests and local `wrangler dev`.
+ * - `kvStore(namespace)` keeps records in Workers KV. Its lock only covers a single isolate.
+ * - `durableObjectStore(namespace)` keeps each client's record in its own Durable Object, whose
+ *   lock covers every isolate. The Worker must export `SessionStoreObject` for the binding.
+ * - `storeStorage(config)` adapts any store to the `StorageHandler` contract of `sessionManager`.
+ */
+
+/**
+ * @typedef {object} SessionRecord
+ * @property {string|null} sID - The stored Session ID.
+ * @property {string|null} eID - The stored Event ID.
+ * @property {string|null} seqID - The stored Sequence ID.
+ * @property {string|null} [src] - The stored traffic source fingerprint, if the manager breaks sessions on
+ * campaign or referrer changes.
+ * @property {number} createdAt - When the record was first written, in milliseconds since the UNIX epoch.
+ * @property {number} updatedAt - When the record was last written, in milliseconds since the UNIX epoch.
+ */
+
+/**
+ * @typedef {object} SessionStore
+ * @property {function(string): Promise<SessionRecord|null>} get - Reads the record of a cID.
+ * @property {function(string, SessionRecord, {ttl: number}): Promise<void>} put - Writes the record of a cID,
+ * expiring it after `ttl` seconds.
+ * @property {function(string): Promise<void>} delete - Deletes the record of a cID.
+ * @property {function(string): Promise<function(): Promise<void>>} lock - Waits for exclusive access to a cID
+ * and resolves with a function that releases it.
+ */
+
+/**
+ * @typedef {object} StoreStorageConfig
+ * @property {import('./sessionManager.js').StorageHandler} cookies - The handler that stores the cID, such as
+ * `serverStorage()`. Its `cookieOptions` and `signingKey` are used.
+ * @property {SessionStore} store - The store that holds the rest of the session.
+ */
+
+/**
+ * How long a lock is held at most, in milliseconds, before it is released automatically. This
+ * keeps a crashed request from blocking its client forever.
+ * @type {number}
+ */
+const LOCK_TIMEOUT = 10 * 1000;
+
+/**
+ * The lifetime of a record in seconds when no cID expiry is known. Matches the cID cookie.
+ * @type {number}
+ */
+const RECORD_TTL = 2 * 365 * 24 * 60 * 60;
+
+/**
+ * Creates a keyed lock. Callers for the same key are served one at a time, in order.
+ * @private
+ * @param {number} [timeout=LOCK_TIMEOUT] - The lease after which a lock is released automatically.
+ * @returns {function(string): Promise<function(): void>} A function that acquires the lock for a key.
+ */
+function _createLocks(timeout = LOCK_TIMEOUT) {
+    const tails = new Map();
+    return async (key) => {
+        const previous = tails.get(key) || Promise.resolve();
+        let resolve;
+        const current = new Promise(r => resolve = r);
+        const tail = previous.then(() => current);
+        tails.set(key, tail);
+        await previous;
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            clearTimeout(timer);
+            resolve();
+            if (tails.get(key) === tail) tails.delete(key);
+        };
+        const timer = setTimeout(release, timeout);
+        return release;
+    };
+}
+
+/**
+ * The lock shared by every `kvStore`, so that stores created per request still serialize
+ * requests for the same client within an isolate.
+ * @type {function(string): Promise<function(): void>}
+ */
+const kvLocks = _createLocks();
+
+/**
+ * Creates a session store that keeps records in memory. Records are lost when the process ends,
+ * so create it once per process rather than once per request.
+ *
+ * @returns {SessionStore} The store.
+ *
+ * @example
+ * const store = env.SESSIONS ? kvStore(env.SESSIONS) : memoryStore();
+ */
+export const memoryStore = () => {
+    const records = new Map();
+    const lock = _createLocks();
+
+    return {
+        get: async (cID) => {
+            const entry = records.get(cID);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                records.delete(cID);
+                return null;
+            }
+            return {...entry.record};
+        },
+        put: async (cID, record, {ttl}) => {
+            records.set(cID, {record: {...record}, expiresAt: Date.now() + ttl * 1000});
+        },
+        delete: async (cID) => {
+            records.delete(cID);
+        },
+        lock: async (cID) => lock(cID),
+    };
+};
+
+/**
+ * Creates a session store backed by Workers KV.
+ *
+ * KV is eventually consistent and has no transactions, so the lock only serializes requests
+ * handled by the same isolate. Use `durableObjectStore` where concurrent requests must never race.
+ *
+ * @param {object} namespace - The KV namespace binding.
+ * @param {object} [options={}] - Options for the store.
+ * @param {string} [options.prefix='session:'] - A prefix for all keys.
+ * @returns {SessionStore} The store.
+ * @throws {Error} If no namespace is provided.
+ */
+export const kvStore = (namespace, {prefix = 'session:'} = {}) => {
+    if (!namespace) throw new Error("A KV namespace must be provided to kvStore.");
+
+    return {
+        get: async (cID) => namespace.get(prefix + cID, 'json'),
+        // KV rejects expirations shorter than 60 seconds
+        put: async (cID, record, {ttl}) => {
+            await namespace.put(prefix + cID, JSON.stringify(record), {expirationTtl: Math.max(60, Math.ceil(ttl))});
+        },
+        delete: async (cID) => namespace.delete(prefix + cID),
+        lock: async (cID) => kvLocks(prefix + cID),
+    };
+};
+
+/**
+ * Creates a session store backed by a Durable Object namespace bound to `SessionStoreObject`.
+ * Every cID gets its own object, which serializes all access to the client's record.
+ *
+ * @param {object} namespace - The Durable Object namespace binding.
+ * @returns {SessionStore} The store.
+ * @throws {Error} If no namespace is provided.
+ *
+ * @example
+ * // wrangler.toml:
+ * // [[durable_objects.bindings]]
+ * // name = "SESSION_STORE"
+ * // class_name = "SessionStoreObject"
+ * export {SessionStoreObject} from '../public/js/sessionStore.js';
+ * const store = durableObjectStore(env.SESSION_STORE);
+ */
+export const durableObjectStore = (namespace) => {
+    if (!namespace) throw new Error("A Durable Object namespace must be provided to durableObjectStore.");
+
+    const call = async (cID, method, path, body) => {
+        const stub = namespace.get(namespace.idFromName(cID));
+        const response = await stub.fetch(`https://session-store${path}`, {
+            method,
+            headers: {'Content-Type': 'application/json'},
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        if (!response.ok) throw new Error(`The session store responded with status ${response.status}.`);
+        return response.json();
+    };
+
+    return {
+        get: async (cID) => call(cID, 'GET', '/record'),
+        put: async (cID, record, {ttl}) => {
+            await call(cID, 'PUT', '/record', {record, ttl});
+        },
+        delete: async (cID) => {
+            await call(cID, 'DELETE', '/record');
+        },
+        lock: async (cID) => {
+            const {token} = await call(cID, 'POST', '/lock');
+            return async () => {
+                await call(cID, 'POST', '/unlock', {token});
+            };
+        },
+    };
+};
+
+/**
+ * The Durable Object class behind `durableObjectStore`. Each instance holds the record of one
+ * client and expires it with an alarm.
+ */
+export class SessionStoreObject {
+    /**
+     * @param {object} state - The Durable Object state.
+     * @param {object} env - The Worker's environment bindings.
+     */
+    constructor(state, env) {
+        this.storage = state.storage;
+        this.env = env;
+        this.lock = _createLocks();
+        this.releases = new Map();
+    }
+
+    /**
+     * Handles a request from `durableObjectStore`.
+     * @param {Request} request - The request.
+     * @returns {Promise<Response>} A JSON response.
+     */
+    async fetch(request) {
+        const {pathname} = new URL(request.url);
+        const json = (body) => new Response(JSON.stringify(body), {headers: {'Content-Type': 'application/json'}});
+
+        switch (`${request.method} ${pathname}`) {
+            case 'GET /record': {
+                const entry = await this.storage.get('record');
+                return json(entry && entry.expiresAt > Date.now() ? entry.record : null);
+            }
+            case 'PUT /record': {
+                const {record, ttl} = await request.json();
+                const expiresAt = Date.now() + ttl * 1000;
+                await this.storage.put('record', {record, expiresAt});
+                await this.storage.setAlarm(expiresAt);
+                return json(null);
+            }
+            case 'DELETE /record':
+                await this.storage.deleteAll();
+                return json(null);
+            case 'POST /lock': {
+                const release = await this.lock('record');
+                const token = pushID.newRnd(16);
+                this.releases.set(token, release);
+                setTimeout(() => this.releases.delete(token), LOCK_TIMEOUT);
+                return json({token});
+            }
+            case 'POST /unlock': {
+                const {token} = await request.json();
+                const release = this.releases.get(token);
+                this.releases.delete(token);
+                if (release) release();
+                return json(null);
+            }
+            default:
+                return new Response('Not Found', {status: 404});
+        }
+    }
+
+    /**
+     * Deletes the record once it expires.
+     */
+    async alarm() {
+        const entry = await this.storage.get('record');
+        if (!entry || entry.expiresAt <= Date.now()) await this.storage.deleteAll();
+    }
+}
+
+/**
+ * The error thrown when a manager with `packed: true` uses a `storeStorage` handler.
+ * @type {string}
+ */
+const PACKED_STORE_ERROR = "storeStorage keeps the session in the store, so it cannot be used with the packed layout; "
+    + "create the sessionManager without `packed: true`.";
+
+/**
+ * Factory function that creates a storage handler which keeps only the cID in the cookie handler
+ * and the rest of the session in a `SessionStore`. The packed layout is not supported, as the
+ * cookie only ever carries the cID.
+ *
+ * Each `process` call runs as a transaction that holds the client's lock from the read to the
+ * write. With a signing key, the cookie's cID is verified before its record is read, so a forged
+ * cookie can never load another client's session.
+ *
+ * @param {StoreStorageConfig} config - Configuration for the storage handler.
+ * @returns {import('./sessionManager.js').StorageHandler} A storage handler.
+ * @throws {Error} If no cookie handler or store is provided.
+ *
+ * @example
+ * const cookies = serverStorage({ request, signingKey: env.SESSION_SECRET });
+ * const storage = storeStorage({ cookies, store: durableObjectStore(env.SESSION_STORE) });
+ * const session = await sessionManager().processAsync({ storageHandler: storage });
+ * return cookies.applyToResponse(await env.ASSETS.fetch(request));
+ */
+export const storeStorage = (config = {}) => {
+    const {cookies, store} = config;
+    if (!cookies || !store) throw new Error("A cookie handler and a store must be provided to storeStorage.");
+    const cookieConfig = cookies.config || {};
+    const finalConfig = {...config, cookieOptions: cookieConfig.cookieOptions, signingKey: cookieConfig.signingKey || null};
+
+    /**
+     * The record read by the current transaction, so that its `createdAt` survives the write.
+     * @type {SessionRecord|null}
+     */
+    let current = null;
+
+    /**
+     * The verified cID whose record was read by the current transaction, so that a write under a
+     * new cID (`rotateClient`) can tell that the client was replaced.
+     * @type {string|null}
+     */
+    let currentCID = null;
+
+    /**
+     * Returns the verified cID from the cookie, or null if it is missing or forged.
+     * @private
+     * @returns {Promise<{raw: (string|null), cID: (string|null)}>} The stored value and the verified cID.
+     */
+    const _cookieCID = async () => {
+        const raw = (await cookies.get('cID')) || null;
+        if (!raw) return {raw, cID: null};
+        const cID = finalConfig.signingKey ? await pushID.verify(raw, finalConfig.signingKey, {purpose: 'cID'}) : raw;
+        return {raw, cID};
+    };
+
+    const getAll = async (keys = ['cID', 'sID', 'eID', 'seqID']) => {
+        if (keys.includes('state')) throw new Error(PACKED_STORE_ERROR);
+        const {raw, cID} = await _cookieCID();
+        current = cID ? await store.get(cID) : null;
+        currentCID = cID;
+        const values = {};
+        for (const key of keys) values[key] = key === 'cID' ? raw : (current && current[key]) || null;
+        return values;
+    };
+
+    const setAll = async (entries) => {
+        if (!entries.cID) throw new Error(PACKED_STORE_ERROR);
+        const {value, options} = entries.cID;
+        await cookies.set('cID', value, options);
+
+        const cID = finalConfig.signingKey ? pushID.strip(value) : value;
+        const now = Date.now();
+        const ttl = options && options.expires ? Math.max(1, (new Date(options.expires).getTime() - now) / 1000) : RECORD_TTL;
+        // A new cID is a new client: its record starts fresh, and the replaced client's record is removed
+        const replaced = currentCID && currentCID !== cID ? currentCID : null;
+        const createdAt = !replaced && current && current.createdAt ? current.createdAt : now;
+        const record = {createdAt, updatedAt: now};
+        for (const key of Object.keys(entries)) if (key !== 'cID') record[key] = entries[key].value;
+        await store.put(cID, record, {ttl});
+        if (replaced) await store.delete(replaced);
+        current = record;
+        currentCID = cID;
+    };
+
+    const get = async (key) => (await getAll())[key];
+
+    // The record lives as long as the cID, not as long as the session key being written
+    const set = async (key, value, options) => {
+        if (key === 'state') throw new Error(PACKED_STORE_ERROR);
+        if (key === 'cID') return cookies.set(key, value, options);
+        const {cID} = await _cookieCID();
+        if (!cID) return;
+        const now = Date.now();
+        const record = (await store.get(cID)) || {sID: null, eID: null, seqID: null, createdAt: now};
+        await store.put(cID, {...record, [key]: value, updatedAt: now}, {ttl: RECORD_TTL});
+    };
+
+    const clear = async () => {
+        const {cID} = await _cookieCID();
+        if (cID) await store.delete(cID);
+        await cookies.clear();
+    };
+
+    const transaction = async (fn) => {
+        const {cID} = await _cookieCID();
+        if (!cID) return fn();
+        const release = await store.lock(cID);
+        try {
+            return await fn();
+        } finally {
+            await release();
+        }
+    };
+
+    return {get, set, clear, getAll, setAll, transaction, config: finalConfig};
+};
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Cross-tab coordination for the sessionManager in the browser.
+ * @version 1.0.0
+ *
+ * Every open tab of a site runs `process` against the same cookies. Without coordination, two tabs
+ * can read the same state at once, so both increment seqID to the same value, or both start a new
+ * session at the expiry boundary. `tabCoordinator` wraps a storage handler (such as `clientStorage()`)
+ * so that each `process` call runs as a transaction across all tabs:
+ * 1. It uses the Web Locks API where available, and otherwise a lease lock in `localStorage` that
+ *    is woken up by `storage` events.
+ * 2. After each transaction that wrote to storage it notifies the other tabs through a
+ *    `BroadcastChannel`, or through a `storage` event where BroadcastChannel is unavailable.
+ */
+
+/**
+ * @typedef {object} TabCoordinatorConfig
+ * @property {string} [name='__psh_session'] - The name of the lock and the channel. Tabs coordinate only with
+ * tabs that use the same name.
+ * @property {number} [lockTimeout=5000] - The maximum wait for the lock in milliseconds. If it is exceeded, the
+ * event is processed without the lock rather than being lost.
+ * @property {function(Error, {source: string}): void} [onError] - Called when an `onChange` listener throws, with
+ * the source 'listener'. Without it, such failures are ignored.
+ */
+
+/**
+ * @typedef {object} TabSessionMessage
+ * @property {'session'} type - The message type.
+ * @property {'event'|'update'} kind - 'event' for a processed event; 'update' for any other write, such as
+ * `touch`, `endSession` or `rotateClient`, after which the IDs are null and `peek` reads the new state.
+ * @property {string} tabId - The ID of the tab that wrote the state.
+ * @property {string|null} cID - The Client ID after the event.
+ * @property {string|null} sID - The Session ID after the event.
+ * @property {string|null} eID - The Event ID of the event.
+ * @property {string|null} seqID - The Sequence ID after the event.
+ * @property {boolean} isNewClient - True if the event created a new cID.
+ * @property {boolean} isNewSession - True if the event started a new session.
+ */
+
+/**
+ * How long a `localStorage` lease lock is valid, in milliseconds. The holder renews it every half
+ * duration while its transaction runs, so a tab that closes while holding the lock blocks the
+ * others for at most this long.
+ * @type {number}
+ */
+const LEASE_DURATION = 2000;
+
+/**
+ * How long a tab waits after writing a lease before checking that it still owns it.
+ * @type {number}
+ */
+const LEASE_SETTLE_TIME = 20;
+
+/**
+ * Resolves after the given time.
+ * @private
+ * @param {number} ms - The time to wait in milliseconds.
+ * @returns {Promise<void>} A Promise that resolves after the time.
+ */
+const _sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a random ID for a tab or a lease.
+ * @private
+ * @returns {string} The ID.
+ */
+const _randomId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+/**
+ * Factory function that wraps a storage handler with cross-tab coordination.
+ *
+ * The wrapped handler has a `transaction` method, so `process` always returns a Promise with it.
+ *
+ * @param {import('./sessionManager.js').StorageHandler} storageHandler - The storage handler to wrap.
+ * @param {TabCoordinatorConfig} [config={}] - Configuration for the coordinator.
+ * @returns {import('./sessionManager.js').StorageHandler & {onChange: function(function(TabSessionMessage): void): function(): void, close: function(): void, tabId: string}}
+ * The wrapped storage handler, with `onChange` to subscribe to events from other tabs and `close` to
+ * stop listening.
+ * @throws {Error} If no storage handler is provided.
+ *
+ * @example
+ * const storage = tabCoordinator(clientStorage());
+ * const manager = sessionManager();
+ *
+ * const session = await manager.process({ storageHandler: storage });
+ * storage.onChange((message) => {
+ *   if (message.isNewSession) console.log(`Another tab started session ${message.sID}`);
+ * });
+ */
+export const tabCoordinator = (storageHandler, config = {}) => {
+    if (!storageHandler) throw new Error("A storage handler must be provided to tabCoordinator.");
+    const finalConfig = {
+        name: '__psh_session',
+        lockTimeout: 5000,
+        onError: null,
+        ...config,
+    };
+
+    const tabId = _randomId();
+    const leaseKey = `${finalConfig.name}.lock`;
+    const messageKey = `${finalConfig.name}.message`;
+    const listeners = new Set();
+
+    const hasWindow = typeof window !== 'undefined';
+    const locks = typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function'
+        ? navigator.locks : null;
+    let storage = null;
+    try {
+        storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (e) {
+        // Accessing localStorage throws when storage is blocked
+    }
+    const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(finalConfig.name) : null;
+
+    /**
+     * Calls the listeners with a message from another tab.
+     * @private
+     * @param {TabSessionMessage} message - The message.
+     */
+    const _notify = (message) => {
+        if (!message || message.type !== 'session' || message.tabId === tabId) return;
+        for (const listener of listeners) {
+            try {
+                listener(message);
+            } catch (e) {
+                if (typeof finalConfig.onError === 'function') finalConfig.onError(e, {source: 'listener'});
+            }
+        }
+    };
+
+    /**
+     * Wakes up tabs waiting for the lease lock.
+     * @type {Set<function(): void>}
+     */
+    const waiters = new Set();
+
+    const onMessage = (event) => _notify(event.data);
+    const onStorage = (event) => {
+        if (event.key === leaseKey) waiters.forEach(wake => wake());
+        if (event.key === messageKey && event.newValue) {
+            try {
+                _notify(JSON.parse(event.newValue));
+            } catch (e) {
+                // Ignore malformed messages
+            }
+        }
+    };
+    if (channel) channel.addEventListener('message', onMessage);
+    if (hasWindow) window.addEventListener('storage', onStorage);
+
+    /**
+     * Sends a message to the other tabs.
+     * @private
+     * @param {TabSessionMessage} message - The message.
+     */
+    const _broadcast = (message) => {
+        if (channel) {
+            channel.postMessage(message);
+        } else if (storage) {
+            try {
+                // A unique value, so that the storage event fires even if the session did not change
+                storage.setItem(messageKey, JSON.stringify({...message, nonce: _randomId()}));
+            } catch (e) {
+                // Storage is full or blocked; the other tabs are not notified
+            }
+        }
+    };
+
+    /**
+     * Reads the current lease from localStorage.
+     * @private
+     * @returns {{owner: string, expires: number}|null} The lease, or null if there is none.
+     */
+    const _readLease = () => {
+        try {
+            return JSON.parse(storage.getItem(leaseKey));
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Acquires the localStorage lease lock. Tabs write their lease and then check after a short
+     * delay that it has not been overwritten, which resolves races between tabs that saw the
+     * lock free at the same time.
+     * @private
+     * @param {number} deadline - The time after which to give up.
+     * @returns {Promise<string|null>} The lease owner ID, or null if the lock was not acquired in time.
+     */
+    const _acquireLease = async (deadline) => {
+        const owner = _randomId();
+        while (Date.now() < deadline) {
+            const lease = _readLease();
+            if (!lease || lease.expires < Date.now()) {
+                storage.setItem(leaseKey, JSON.stringify({owner, expires: Date.now() + LEASE_DURATION}));
+                await _sleep(LEASE_SETTLE_TIME);
+                const current = _readLease();
+                if (current && current.owner === owner) return owner;
+            }
+            // Wait for the holder to release the lease, or poll in case its tab was closed
+            await new Promise(resolve => {
+                const wake = () => {
+                    waiters.delete(wake);
+                    clearTimeout(timer);
+                    resolve();
+                };
+                const timer = setTimeout(wake, 50 + Math.random() * 50);
+                waiters.add(wake);
+            });
+        }
+        return null;
+    };
+
+    /**
+     * Extends the localStorage lease lock if this tab still owns it.
+     * @private
+     * @param {string} owner - The lease owner ID.
+     */
+    const _renewLease = (owner) => {
+        try {
+            const lease = _readLease();
+            if (lease && lease.owner === owner) {
+                storage.setItem(leaseKey, JSON.stringify({owner, expires: Date.now() + LEASE_DURATION}));
+            }
+        } catch (e) {
+            // Storage is blocked; the lease runs out
+        }
+    };
+
+    /**
+     * Releases the localStorage lease lock if this tab still owns it.
+     * @private
+     * @param {string} owner - The lease owner ID.
+     */
+    const _releaseLease = (owner) => {
+        const lease = _readLease();
+        if (lease && lease.owner === owner) storage.removeItem(leaseKey);
+    };
+
+    /**
+     * Runs a function while holding the cross-tab lock.
+     * @private
+     * @param {function(): Promise<*>} fn - The function to run.
+     * @returns {Promise<*>} The result of the function.
+     */
+    const _withCrossTabLock = async (fn) => {
+        if (locks) {
+            const signal = typeof AbortSignal !== 'undefined' && AbortSignal.timeout
+                ? AbortSignal.timeout(finalConfig.lockTimeout) : undefined;
+            // Once the lock is granted, the signal no longer matters: a failure of fn is fn's own
+            let started = false;
+            try {
+                return await locks.request(finalConfig.name, {mode: 'exclusive', signal}, () => {
+                    started = true;
+                    return fn();
+                });
+            } catch (e) {
+                if (started || !signal || !signal.aborted) throw e;
+                return fn();
+            }
+        }
+        if (!storage) return fn();
+
+        let owner = null;
+        try {
+            owner = await _acquireLease(Date.now() + finalConfig.lockTimeout);
+        } catch (e) {
+            // Storage is blocked; process without the lock
+        }
+        // Renew the lease while fn runs, so that a slow storage handler never loses it to another tab
+        const renewal = owner ? setInterval(() => _renewLease(owner), LEASE_DURATION / 2) : null;
+        try {
+            return await fn();
+        } finally {
+            if (owner) {
+                clearInterval(renewal);
+                _releaseLease(owner);
+            }
+        }
+    };
+
+    /**
+     * The end of this tab's own queue, so that concurrent calls within a tab never compete for
+     * the cross-tab lock with each other.
+     * @type {Promise<void>}
+     */
+    let tail = Promise.resolve();
+
+    /**
+     * True while a transaction runs if it has written to storage. Transactions of one tab never
+     * overlap, as they run through `tail`.
+     * @type {boolean}
+     */
+    let written = false;
+
+    /**
+     * Wraps a write method of the storage handler so that it marks the running transaction as written.
+     * @private
+     * @param {function(...*): *} write - The write method.
+     * @returns {function(...*): *} The wrapped method.
+     */
+    const _trackWrite = (write) => (...args) => {
+        written = true;
+        return write(...args);
+    };
+
+    /**
+     * Runs a read-compute-write cycle of the sessionManager exclusively across all tabs, then
+     * notifies the other tabs if it wrote to storage.
+     *
+     * @param {function(): Promise<*>} fn - The cycle to run.
+     * @returns {Promise<*>} The result of the cycle.
+     */
+    const transaction = (fn) => {
+        const run = tail.then(() => _withCrossTabLock(() => {
+            written = false;
+            return fn();
+        }));
+        tail = run.then(() => undefined, () => undefined);
+        return run.then((result) => {
+            if (!written) return result;
+            if (result && result.changes) {
+                const {cID, sID, eID, seqID, changes: {isNewClient, isNewSession}} = result;
+                _broadcast({type: 'session', kind: 'event', tabId, cID, sID, eID, seqID, isNewClient, isNewSession});
+            } else {
+                _broadcast({
+                    type: 'session', kind: 'update', tabId,
+                    cID: null, sID: null, eID: null, seqID: null, isNewClient: false, isNewSession: false,
+                });
+            }
+            return result;
+        });
+    };
+
+    /**
+     * Subscribes to session events processed by other tabs.
+     *
+     * @param {function(TabSessionMessage): void} listener - Called with each message.
+     * @returns {function(): void} A function that unsubscribes the listener.
+     */
+    const onChange = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    /**
+     * Stops listening for other tabs and closes the channel.
+     */
+    const close = () => {
+        listeners.clear();
+        if (channel) {
+            channel.removeEventListener('message', onMessage);
+            channel.close();
+        }
+        if (hasWindow) window.removeEventListener('storage', onStorage);
+    };
+
+    const handler = {
+        get: storageHandler.get,
+        set: _trackWrite(storageHandler.set),
+        clear: _trackWrite(storageHandler.clear),
+        transaction,
+        onChange,
+        close,
+        tabId,
+        config: storageHandler.config,
+    };
+    if (typeof storageHandler.getAll === 'function') handler.getAll = storageHandler.getAll;
+    if (typeof storageHandler.setAll === 'function') handler.setAll = _trackWrite(storageHandler.setAll);
+    return handler;
+};
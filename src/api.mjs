@@ -0,0 +1,320 @@
+import {pushID} from '../public/js/pushID.js';
+
+/**
+ * @fileoverview A JSON HTTP API for generating, decoding, hashing and validating pushIDs, so that
+ * services written in other languages share this library as their single source of truth.
+ *
+ * Every route accepts its parameters either as a query string (GET) or as a JSON body (POST).
+ * Responses are JSON with CORS headers. Errors use an appropriate status and the shape
+ * `{"error": {"code": "...", "message": "..."}}`.
+ *
+ * - `/api/id`       - `stub`, `length`, `time`, `count` -> `{id}`, or `{ids}` when `count` is given.
+ * - `/api/decode`   - `id` (repeatable in the query string) or `ids` -> `{decoded}`. Invalid IDs are a 422,
+ *   or null in a batch.
+ * - `/api/hash`     - `data`, `length`, `version` -> `{hash}`.
+ * - `/api/validate` - `id`, `stub`, `minLength`, `maxAge`, `allowLegacy` -> `{valid, errors, decoded}`.
+ */
+
+/**
+ * The maximum number of IDs generated or decoded by a single request.
+ * @type {number}
+ */
+const MAX_BATCH = 1000;
+
+/**
+ * The maximum length of the random or hash part that may be requested.
+ * @type {number}
+ */
+const MAX_LENGTH = 256;
+
+/**
+ * The CORS headers added to every API response.
+ * @type {Object<string, string>}
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Max-Age': '86400',
+};
+
+/**
+ * Creates an error that is reported to the client with the given status and code.
+ * @private
+ * @param {number} status - The HTTP status.
+ * @param {string} code - A machine-readable error code.
+ * @param {string} message - A human-readable description.
+ * @returns {Error} The error.
+ */
+function _apiError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Creates a JSON response with CORS headers.
+ * @private
+ * @param {*} body - The value to serialize as the response body.
+ * @param {number} [status=200] - The HTTP status.
+ * @returns {Response} The response.
+ */
+function _json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store'},
+    });
+}
+
+/**
+ * Reads the request parameters from the query string, merged with the JSON body of a POST.
+ * Repeated query parameters become arrays.
+ * @private
+ * @param {Request} request - The incoming request.
+ * @returns {Promise<object>} The parameters.
+ * @throws {Error} If a POST body is not a JSON object.
+ */
+async function _readParams(request) {
+    const params = {};
+    for (const [key, value] of new URL(request.url).searchParams) {
+        if (key in params) params[key] = [].concat(params[key], value);
+        else params[key] = value;
+    }
+    if (request.method !== 'POST') return params;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        throw _apiError(400, 'INVALID_JSON', 'The request body must be valid JSON.');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw _apiError(400, 'INVALID_JSON', 'The request body must be a JSON object.');
+    }
+    return {...params, ...body};
+}
+
+/**
+ * Parses an optional integer parameter.
+ * @private
+ * @param {*} value - The raw value from the query string or body.
+ * @param {string} name - The parameter name, used in error messages.
+ * @param {number} min - The smallest allowed value.
+ * @param {number} max - The largest allowed value.
+ * @returns {number|undefined} The integer, or undefined if the parameter is absent.
+ * @throws {Error} If the value is not an integer within the bounds.
+ */
+function _int(value, name, min, max) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < min || num > max) {
+        throw _apiError(400, 'INVALID_PARAMETER', `The "${name}" parameter must be an integer between ${min} and ${max}.`);
+    }
+    return num;
+}
+
+/**
+ * Parses an optional time parameter given as milliseconds or an ISO 8601 string.
+ * @private
+ * @param {*} value - The raw value.
+ * @returns {number|undefined} The timestamp in milliseconds, or undefined if absent.
+ * @throws {Error} If the value is not a valid time.
+ */
+function _time(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const num = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isInteger(num) || num < 0) {
+        throw _apiError(400, 'INVALID_PARAMETER', 'The "time" parameter must be milliseconds since the UNIX epoch or an ISO 8601 date.');
+    }
+    return num;
+}
+
+/**
+ * Parses an optional boolean parameter.
+ * @private
+ * @param {*} value - The raw value.
+ * @param {string} name - The parameter name, used in error messages.
+ * @returns {boolean|undefined} The boolean, or undefined if absent.
+ * @throws {Error} If the value is not a boolean.
+ */
+function _bool(value, name) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw _apiError(400, 'INVALID_PARAMETER', `The "${name}" parameter must be true or false.`);
+}
+
+/**
+ * Parses an optional stub parameter.
+ * @private
+ * @param {*} value - The raw value.
+ * @returns {string|null|undefined} The stub, null for an explicitly empty stub, or undefined if absent.
+ * @throws {Error} If the stub is not a string or contains the "-" delimiter.
+ */
+function _stub(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string' || value.includes('-')) {
+        throw _apiError(400, 'INVALID_PARAMETER', 'The "stub" parameter must be a string without "-".');
+    }
+    return value;
+}
+
+/**
+ * Converts a decoded ID into a JSON-friendly object.
+ * @private
+ * @param {import('../public/js/pushID.js').DecodedPushIDObject|null} decoded - The decoded ID.
+ * @returns {object|null} The object, with the date as an ISO string and a numeric timestamp.
+ */
+function _decodedToJson(decoded) {
+    if (!decoded || isNaN(decoded.date.getTime())) return null;
+    return {...decoded, date: decoded.date.toISOString(), timestamp: decoded.date.getTime()};
+}
+
+/**
+ * Handles `/api/id`: generates one or more IDs. Every request gets its own monotonic generator,
+ * so that one caller's time or random part never carries over into another caller's IDs.
+ * @private
+ * @param {object} params - The request parameters.
+ * @returns {object} The response body.
+ */
+function _handleId(params) {
+    const count = _int(params.count, 'count', 1, MAX_BATCH);
+    const options = {
+        stub: _stub(params.stub) || null,
+        length: _int(params.length, 'length', 12, MAX_LENGTH),
+        time: _time(params.time),
+    };
+    try {
+        const generator = pushID.create({monotonic: true});
+        if (count === undefined) return {id: generator.newID(options)};
+        const ids = new Array(count);
+        for (let i = 0; i < count; i++) ids[i] = generator.newID(options);
+        // Monotonic mode leaves IDs with an explicit time alone; they share the time, so sorting orders them
+        if (options.time !== undefined) ids.sort();
+        return {ids};
+    } catch (e) {
+        throw _apiError(400, 'INVALID_PARAMETER', e.message);
+    }
+}
+
+/**
+ * Validates an ID before decoding it, since decoding alone accepts malformed IDs (such as a
+ * timestamp that is too short) and returns meaningless dates for them. A timestamp in the future
+ * is still decoded.
+ * @private
+ * @param {*} id - The ID to decode.
+ * @returns {{decoded: (object|null), error: (string|null)}} The decoded ID, or the reason it was rejected.
+ */
+function _validDecode(id) {
+    const {errors} = pushID.validate(id, {minLength: 0});
+    const error = errors.find(e => e.code !== pushID.VALIDATION_CODES.FUTURE_TIMESTAMP);
+    if (error) return {decoded: null, error: error.message};
+    return {decoded: _decodedToJson(pushID.tryDecodeID(id)), error: null};
+}
+
+/**
+ * Handles `/api/decode`: decodes a single ID, or a batch given as repeated `id` or as `ids`.
+ * Invalid IDs are rejected with a 422, or decode to null in a batch.
+ * @private
+ * @param {object} params - The request parameters.
+ * @returns {object} The response body.
+ */
+function _handleDecode(params) {
+    const batch = params.ids !== undefined ? params.ids : (Array.isArray(params.id) ? params.id : undefined);
+    if (batch !== undefined) {
+        if (!Array.isArray(batch) || batch.length > MAX_BATCH) {
+            throw _apiError(400, 'INVALID_PARAMETER', `The "ids" parameter must be an array of at most ${MAX_BATCH} IDs.`);
+        }
+        return {decoded: batch.map(id => _validDecode(id).decoded)};
+    }
+    if (typeof params.id !== 'string' || params.id === '') {
+        throw _apiError(400, 'MISSING_PARAMETER', 'The "id" or "ids" parameter is required.');
+    }
+    const {decoded, error} = _validDecode(params.id);
+    if (!decoded) throw _apiError(422, 'INVALID_ID', error || 'The ID could not be decoded.');
+    return {decoded};
+}
+
+/**
+ * Handles `/api/hash`: hashes arbitrary JSON data.
+ * @private
+ * @param {object} params - The request parameters.
+ * @returns {Promise<object>} The response body.
+ */
+async function _handleHash(params) {
+    if (params.data === undefined) throw _apiError(400, 'MISSING_PARAMETER', 'The "data" parameter is required.');
+    const length = _int(params.length, 'length', 12, MAX_LENGTH);
+    const version = params.version === undefined ? 1 : (params.version === 'sha256' ? 'sha256' : Number(params.version));
+    if (version !== 1 && version !== 2 && version !== 'sha256') {
+        throw _apiError(400, 'INVALID_PARAMETER', 'The "version" parameter must be 1, 2 or "sha256".');
+    }
+    return {hash: await pushID.hashAsync(params.data, length, {version})};
+}
+
+/**
+ * Handles `/api/validate`: strictly validates an ID.
+ * @private
+ * @param {object} params - The request parameters.
+ * @returns {object} The response body.
+ */
+function _handleValidate(params) {
+    if (params.id === undefined) throw _apiError(400, 'MISSING_PARAMETER', 'The "id" parameter is required.');
+    const options = {
+        minLength: _int(params.minLength, 'minLength', 0, MAX_LENGTH),
+        maxAge: _int(params.maxAge, 'maxAge', 0, Number.MAX_SAFE_INTEGER),
+        allowLegacy: _bool(params.allowLegacy, 'allowLegacy'),
+    };
+    if (params.stub !== undefined) options.stub = _stub(params.stub);
+    for (const key of Object.keys(options)) if (options[key] === undefined) delete options[key];
+    const result = pushID.validate(params.id, options);
+    return {...result, decoded: _decodedToJson(result.decoded)};
+}
+
+/**
+ * The API routes, keyed by path.
+ * @type {Object<string, function(object): (object|Promise<object>)>}
+ */
+const ROUTES = {
+    '/api/id': _handleId,
+    '/api/decode': _handleDecode,
+    '/api/hash': _handleHash,
+    '/api/validate': _handleValidate,
+};
+
+/**
+ * Returns true if the request targets the JSON API.
+ * @param {Request} request - The incoming request.
+ * @returns {boolean} True for paths below `/api/`.
+ */
+export function isApiRequest(request) {
+    const {pathname} = new URL(request.url);
+    return pathname === '/api' || pathname.startsWith('/api/');
+}
+
+/**
+ * Handles a request to the JSON API.
+ * @param {Request} request - The incoming request.
+ * @returns {Promise<Response>} The JSON response.
+ *
+ * @example
+ * // GET /api/id?stub=order&count=2
+ * // -> {"ids": ["0PX5f3qu-order-bVn2mkL9xZ~_", "0PX5f3qu-order-bVn2mkL9xZ~a"]}
+ */
+export async function handleApiRequest(request) {
+    if (request.method === 'OPTIONS') return new Response(null, {status: 204, headers: CORS_HEADERS});
+
+    const pathname = new URL(request.url).pathname.replace(/\/+$/, '');
+    const handler = ROUTES[pathname];
+    try {
+        if (!handler) throw _apiError(404, 'NOT_FOUND', `Unknown route "${pathname}".`);
+        if (request.method !== 'GET' && request.method !== 'POST') {
+            throw _apiError(405, 'METHOD_NOT_ALLOWED', 'Only GET, POST and OPTIONS are supported.');
+        }
+        return _json(await handler(await _readParams(request)));
+    } catch (e) {
+        if (e.status) return _json({error: {code: e.code, message: e.message}}, e.status);
+        return _json({error: {code: 'INTERNAL_ERROR', message: 'An unexpected error occurred.'}}, 500);
+    }
+}
@@ -1,3 +1,24 @@
+import {handleApiRequest, isApiRequest} from './api.mjs';
+import {withSession} from './sessionMiddleware.mjs';
+
+/**
+ * Matches the cookie that records a visitor's opt-in to session tracking.
+ * @type {RegExp}
+ */
+const CONSENT_COOKIE = /(?:^|;\s*)consent=granted(?:;|$)/;
+
+/**
+ * Serves the static assets with a server-authoritative session. The API stays stateless and
+ * is routed around the middleware.
+ *
+ * Tracking is off by default: without a `consent=granted` cookie, requests are processed
+ * anonymously and no session cookies are set.
+ */
+const serveAssets = withSession((request, env) => env.ASSETS.fetch(request), {
+    signingKey: (env) => env.SESSION_SIGNING_KEY || null,
+    consent: (request) => CONSENT_COOKIE.test(request.headers.get('Cookie') || '') ? 'granted' : 'pending',
+    onError: (error) => console.error('Session processing failed:', error),
+});
 
 export default {
     /**
@@ -8,7 +29,8 @@ export default {
      * @returns {Response} - The response to send back to the browser.
      */
     async fetch(request, env, ctx) {
+        if (isApiRequest(request)) return handleApiRequest(request);
 
-        return env.ASSETS.fetch(request);
+        return serveAssets(request, env, ctx);
     },
 };
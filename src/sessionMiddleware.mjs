@@ -0,0 +1,194 @@
+import {sessionManager} from '../public/js/sessionManager.js';
+import {serverStorage} from '../public/js/serverSession.js';
+import {storeStorage} from '../public/js/sessionStore.js';
+
+/**
+ * @fileoverview A middleware that gives every request to a Worker a server-authoritative session.
+ *
+ * It wraps a fetch handler (such as `env.ASSETS.fetch`), runs `sessionManager.process` against a
+ * `serverStorage` cookie handler, passes the resulting session to the wrapped handler, and
+ * attaches the `Set-Cookie` headers to its response. Static assets, bots and CORS preflight
+ * requests can be skipped, and the IDs can be forwarded to the origin as request headers.
+ */
+
+/**
+ * @callback SessionFetchHandler
+ * @param {Request} request - The incoming request, with the session headers added if `forwardHeaders` is on.
+ * @param {object} env - The Worker's environment bindings.
+ * @param {object} ctx - The execution context of the request.
+ * @param {import('../public/js/sessionManager.js').ProcessedSession|null} session - The processed session,
+ * or null if the request was skipped or processing failed.
+ * @returns {Response|Promise<Response>} The response.
+ */
+
+/**
+ * @typedef {object} SessionMiddlewareOptions
+ * @property {object} [manager] - A `sessionManager` instance. Defaults to one built from `sessionConfig`.
+ * @property {import('../public/js/sessionManager.js').SessionManagerConfig} [sessionConfig] - Configuration
+ * for the default manager.
+ * @property {string} [prefix] - The cookie name prefix passed to `serverStorage`.
+ * @property {import('../public/js/serverSession.js').ServerCookieOptions} [cookieOptions] - The cookie options
+ * passed to `serverStorage`.
+ * @property {import('../public/js/pushID.js').SigningKey|function(object): import('../public/js/pushID.js').SigningKey} [signingKey] -
+ * The signing key, or a function that reads it from `env`.
+ * @property {import('../public/js/sessionStore.js').SessionStore|function(object): import('../public/js/sessionStore.js').SessionStore} [store] -
+ * A session store, or a function that returns it for `env`. The function is called for every request, so it
+ * must not create a new `memoryStore()` each time. If set, the cookie only carries the cID and the rest of the
+ * session is kept in the store.
+ * @property {Array<RegExp|string>} [skipPaths] - Paths that are served without a session. Strings match
+ * as path prefixes. Defaults to `STATIC_ASSET_PATHS`.
+ * @property {boolean} [skipBots=true] - Serves requests whose User-Agent matches `botPattern` without a session.
+ * @property {RegExp} [botPattern] - The User-Agent pattern that identifies bots.
+ * @property {boolean} [skipPreflight=true] - Serves CORS preflight (OPTIONS) requests without a session.
+ * @property {boolean} [forwardHeaders=false] - Adds the IDs to the request passed to the handler as headers,
+ * so they reach the origin. Incoming headers with the same names are always removed first.
+ * @property {string} [headerPrefix='X-PushID-'] - The prefix of the forwarded headers.
+ * @property {import('../public/js/sessionManager.js').ConsentState|function(Request, object): import('../public/js/sessionManager.js').ConsentState} [consent] -
+ * The user's consent, or a function that reads it from the request (such as from a consent cookie) and `env`.
+ * Defaults to the manager's consent state. If it is 'denied', the session cookies are cleared.
+ * @property {function(Request, object): (string|number|null|undefined|Promise<string|number|null|undefined>)} [userID] -
+ * Returns the account key of the logged-in user for a request, null if the user logged out, or undefined to keep
+ * the stored uID. Requires `identity` in the manager's configuration.
+ * @property {function(Error, {source: string, request: Request}): void} [onError] - Called when session processing
+ * fails, with the source 'session'. The request is then served without a session. Without it, such failures are
+ * ignored.
+ */
+
+/**
+ * The default paths served without a session: files with common static asset extensions and
+ * the vendored dependencies.
+ * @type {RegExp[]}
+ */
+export const STATIC_ASSET_PATHS = [
+    /\.(?:css|js|mjs|map|json|txt|xml|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|pdf)$/i,
+    /^\/vendor\//,
+];
+
+/**
+ * The default User-Agent pattern for crawlers, link previewers and automated browsers.
+ * @type {RegExp}
+ */
+export const BOT_PATTERN = /bot\b|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor/i;
+
+/**
+ * The session fields forwarded as request headers.
+ * @type {string[]}
+ */
+const FORWARDED_FIELDS = ['cID', 'sID', 'eID', 'seqID'];
+
+/**
+ * Wraps a Worker fetch handler with session processing.
+ *
+ * @param {SessionFetchHandler} handler - The handler to wrap.
+ * @param {SessionMiddlewareOptions} [options={}] - Configuration for the middleware.
+ * @returns {function(Request, object, object): Promise<Response>} A fetch handler.
+ * @throws {Error} If a store is combined with a manager that uses the packed layout.
+ *
+ * @example
+ * export default {
+ *   fetch: withSession(async (request, env, ctx, session) => {
+ *     if (session && session.changes.isNewSession) ctx.waitUntil(logSessionStart(session));
+ *     return env.ASSETS.fetch(request);
+ *   }, { signingKey: (env) => env.SESSION_SIGNING_KEY })
+ * };
+ */
+export function withSession(handler, options = {}) {
+    const {
+        manager = sessionManager(options.sessionConfig),
+        prefix,
+        cookieOptions,
+        signingKey = null,
+        store = null,
+        skipPaths = STATIC_ASSET_PATHS,
+        skipBots = true,
+        botPattern = BOT_PATTERN,
+        skipPreflight = true,
+        forwardHeaders = false,
+        headerPrefix = 'X-PushID-',
+        consent,
+        userID,
+        onError = null,
+    } = options;
+    if (store && manager.config && manager.config.packed) {
+        throw new Error("A session store cannot be used with the packed layout; remove `packed: true` from the manager.");
+    }
+
+    /**
+     * Returns true if the request should be served without a session.
+     * @private
+     * @param {Request} request - The incoming request.
+     * @returns {boolean} True to skip session processing.
+     */
+    const _shouldSkip = (request) => {
+        if (skipPreflight && request.method === 'OPTIONS' && request.headers.has('Access-Control-Request-Method')) return true;
+        if (skipBots && botPattern.test(request.headers.get('User-Agent') || '')) return true;
+        const {pathname} = new URL(request.url);
+        return skipPaths.some(path => typeof path === 'string' ? pathname.startsWith(path) : path.test(pathname));
+    };
+
+    /**
+     * Returns a copy of the request with spoofed session headers removed and, if a session is
+     * given, the current IDs added.
+     * @private
+     * @param {Request} request - The incoming request.
+     * @param {object|null} session - The processed session.
+     * @returns {Request} The request to pass on.
+     */
+    const _withForwardedHeaders = (request, session) => {
+        const headers = new Headers(request.headers);
+        for (const field of FORWARDED_FIELDS) headers.delete(headerPrefix + field);
+        if (session) for (const field of FORWARDED_FIELDS) headers.set(headerPrefix + field, session[field]);
+        return new Request(request, {headers});
+    };
+
+    return async (request, env, ctx) => {
+        if (_shouldSkip(request)) {
+            return handler(forwardHeaders ? _withForwardedHeaders(request, null) : request, env, ctx, null);
+        }
+
+        const cookies = serverStorage({
+            request,
+            ...(prefix !== undefined && {prefix}),
+            cookieOptions,
+            signingKey: typeof signingKey === 'function' ? signingKey(env) : signingKey,
+        });
+
+        const sessionStore = typeof store === 'function' ? store(env) : store;
+        const storageHandler = sessionStore ? storeStorage({cookies, store: sessionStore}) : cookies;
+
+        let session = null;
+        try {
+            const state = typeof consent === 'function' ? await consent(request, env) : consent;
+            if (state === 'denied' && (cookies.get('cID') || cookies.get('state'))) await storageHandler.clear();
+
+            const {headers} = request;
+            const fingerprintParts = [headers.get('CF-Connecting-IP'), headers.get('User-Agent'), headers.get('Accept-Language')]
+                .filter(Boolean);
+            const context = {
+                url: request.url,
+                referrer: headers.get('Referer') || undefined,
+                gpc: headers.get('Sec-GPC') === '1',
+                dnt: headers.get('DNT') === '1',
+                // Identifies the client for cookieless sessions; the manager only uses it hashed
+                fingerprint: fingerprintParts.length > 0 ? fingerprintParts.join('|') : null,
+            };
+            const user = userID ? await userID(request, env) : undefined;
+            session = await manager.process({
+                storageHandler, context, ...(state && {consent: state}), ...(user !== undefined && {userID: user}),
+            });
+        } catch (e) {
+            // A session failure must never take the site down; serve the request without one.
+            if (typeof onError === 'function') {
+                try {
+                    onError(e, {source: 'session', request});
+                } catch (reportError) {
+                    // Reporting must not take the site down either
+                }
+            }
+        }
+
+        const downstream = forwardHeaders ? _withForwardedHeaders(request, session) : request;
+        const response = await handler(downstream, env, ctx, session);
+        return session ? cookies.applyToResponse(response) : response;
+    };
+}
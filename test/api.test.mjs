@@ -0,0 +1,33 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {handleApiRequest} from '../src/api.mjs';
+import {pushID} from '../public/js/pushID.js';
+
+const call = async (path, body) => {
+    const init = body === undefined ? {} : {method: 'POST', body: JSON.stringify(body)};
+    const response = await handleApiRequest(new Request(`https://example.com${path}`, init));
+    return {status: response.status, body: await response.json()};
+};
+
+test('/api/decode decodes a valid ID', async () => {
+    const id = pushID.newID({stub: 'user'});
+    const {status, body} = await call(`/api/decode?id=${encodeURIComponent(id)}`);
+    assert.equal(status, 200);
+    assert.equal(body.decoded.id, id);
+    assert.equal(body.decoded.stub, 'user');
+});
+
+test('/api/decode rejects a malformed ID instead of decoding it to 1970', async () => {
+    const {status, body} = await call(`/api/decode?id=${encodeURIComponent('0Q05~B1-user-bVn2mkL9xZ~_')}`);
+    assert.equal(status, 422);
+    assert.equal(body.error.code, 'INVALID_ID');
+});
+
+test('/api/decode returns null for invalid IDs in a batch', async () => {
+    const id = pushID.newID();
+    const {status, body} = await call('/api/decode', {ids: [id, '0Q05~B1-user-bVn2mkL9xZ~_', 42]});
+    assert.equal(status, 200);
+    assert.equal(body.decoded[0].id, id);
+    assert.equal(body.decoded[1], null);
+    assert.equal(body.decoded[2], null);
+});
@@ -0,0 +1,77 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {clientStorage} from '../public/js/clientSession.js';
+import {pushID} from '../public/js/pushID.js';
+
+/**
+ * A synchronous custom backend over a Map, which can be shared between handlers like `localStorage`
+ * is shared between tabs.
+ */
+const mapBackend = (name, items = new Map()) => ({
+    name,
+    items,
+    get: (key) => items.get(key) || null,
+    set: (key, value, options) => {
+        items.set(key, {value, expires: options.expires ? new Date(options.expires).getTime() : null});
+    },
+    remove: (key) => { items.delete(key); },
+});
+
+const cIDExpiry = () => ({expires: new Date(Date.now() + 60 * 60 * 1000)});
+
+test('the oldest valid cID is restored to backends that lost it', () => {
+    const older = pushID.newID({time: Date.now() - 1000});
+    const newer = pushID.newID();
+    const first = mapBackend('first');
+    const second = mapBackend('second');
+    const storage = clientStorage({backends: [first, second]});
+    first.set('__pshC_cID', newer, cIDExpiry());
+    second.set('__pshC_cID', older, cIDExpiry());
+    assert.equal(storage.get('cID'), older);
+    assert.equal(first.get('__pshC_cID').value, older);
+});
+
+test('a cID replaced in another tab is not restored from this tab\'s storage', () => {
+    const shared = new Map();
+    const tabA = clientStorage({backends: [mapBackend('localStorage', shared), mapBackend('sessionStorage')]});
+    const tabBSession = mapBackend('sessionStorage');
+    const tabB = clientStorage({backends: [mapBackend('localStorage', shared), tabBSession]});
+
+    const oldCID = pushID.newID({time: Date.now() - 1000});
+    tabA.set('cID', oldCID, cIDExpiry());
+    assert.equal(tabB.get('cID'), oldCID);
+    assert.equal(tabBSession.get('__pshC_cID').value, oldCID);
+
+    assert.equal(tabA.get('cID'), oldCID);
+    const newCID = pushID.newID();
+    tabA.set('cID', newCID, cIDExpiry());
+
+    assert.equal(tabB.get('cID'), newCID);
+    assert.equal(tabBSession.get('__pshC_cID').value, newCID);
+});
+
+test('a cleared cID is not restored from a backend whose removal failed', () => {
+    const first = mapBackend('first');
+    const stuck = mapBackend('stuck');
+    stuck.remove = () => { throw new Error('Blocked'); };
+    const storage = clientStorage({backends: [first, stuck]});
+
+    storage.set('cID', pushID.newID({time: Date.now() - 1000}), cIDExpiry());
+    storage.clear();
+    assert.equal(storage.get('cID'), null);
+    assert.equal(first.get('__pshC_cID'), null);
+
+    // A later cID is kept
+    const next = pushID.newID();
+    storage.set('cID', next, cIDExpiry());
+    assert.equal(storage.get('cID'), next);
+});
+
+test('a cID rotated within the same millisecond is kept', () => {
+    const time = Date.now();
+    const storage = clientStorage({backends: [mapBackend('first'), mapBackend('second')]});
+    storage.set('cID', pushID.newID({time}), cIDExpiry());
+    const next = pushID.newID({time});
+    storage.set('cID', next, cIDExpiry());
+    assert.equal(storage.get('cID'), next);
+});
@@ -0,0 +1,21 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {hashIsh} from '../public/js/hashIsh.js';
+
+test('version 1 keeps the original encoding of undefined and non-finite numbers', () => {
+    assert.notEqual(hashIsh({a: undefined}), hashIsh({}));
+    assert.equal(hashIsh({a: undefined}), hashIsh({a: null}));
+    assert.equal(hashIsh([NaN, Infinity]), hashIsh([null, null]));
+    assert.equal(hashIsh(-0), hashIsh(0));
+});
+
+test('version 1 tells apart values it used to hash as {}', () => {
+    assert.notEqual(hashIsh(new Date(0)), hashIsh({}));
+    assert.notEqual(hashIsh(new Date(0)), hashIsh(new Date(1)));
+    assert.notEqual(hashIsh(new Map([[1, 2]])), hashIsh(new Map()));
+});
+
+test('version 2 uses the canonical encoding', () => {
+    assert.equal(hashIsh({a: undefined}, 12, undefined, 2), hashIsh({}, 12, undefined, 2));
+    assert.notEqual(hashIsh(NaN, 12, undefined, 2), hashIsh(null, 12, undefined, 2));
+});
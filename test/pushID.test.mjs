@@ -0,0 +1,130 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {pushID} from '../public/js/pushID.js';
+
+test('range() measures the last encodable time from a non-zero epoch', () => {
+    // 64^6 ms is about two years, far less than the absolute timestamps below
+    const epoch = Date.UTC(2025, 0, 1);
+    const ids = pushID.create({epoch, timeLength: 6});
+    const from = Date.UTC(2025, 7, 1);
+    const to = Date.UTC(2025, 7, 2) - 1;
+    const {start, end, endExclusive} = ids.range({from, to});
+    const inside = ids.newID({time: to});
+    const after = ids.newID({time: to + 1});
+    assert.ok(start <= inside && inside <= end);
+    assert.ok(inside < endExclusive);
+    assert.equal(endExclusive, after.slice(0, 6));
+});
+
+test('range() ends with the largest key at the last encodable time', () => {
+    const epoch = Date.UTC(2020, 0, 1);
+    const ids = pushID.create({epoch, timeLength: 4});
+    const last = epoch + 64 ** 4 - 1;
+    const {endExclusive} = ids.range({from: last - 10, to: last});
+    assert.ok(ids.newID({time: last}) < endExclusive);
+});
+
+test('toOpaque() and fromOpaque() round-trip IDs of any shape', () => {
+    for (const options of [{}, {stub: 'order'}, {length: 30}]) {
+        for (let i = 0; i < 50; i++) {
+            const id = pushID.newID(options);
+            const opaque = pushID.toOpaque(id, 'secret');
+            assert.notEqual(opaque, id);
+            assert.equal(pushID.fromOpaque(opaque, 'secret'), id);
+        }
+    }
+});
+
+test('sign() and verify() round-trip with a keyring', async () => {
+    const keys = {current: 'k2', keys: {k1: 'old secret', k2: 'new secret'}};
+    const id = pushID.newID({stub: 'cID'});
+    const signed = await pushID.sign(id, keys);
+    assert.match(signed, /\.k2\./);
+    assert.equal(await pushID.verify(signed, keys), id);
+    assert.equal(await pushID.verify(await pushID.sign(id, 'old secret'), {current: 'k1', keys: {'0': 'old secret'}}), id);
+    assert.equal(await pushID.verify(signed + 'x', keys), null);
+    assert.equal(await pushID.verify(signed, 'another secret'), null);
+    assert.equal(await pushID.verify(id, keys), null);
+});
+
+test('a value signed for one purpose does not verify for another', async () => {
+    const id = pushID.newID({stub: 'sID'});
+    const signed = await pushID.sign(id, 'secret', {purpose: 'sID'});
+    assert.equal(await pushID.verify(signed, 'secret', {purpose: 'sID'}), id);
+    assert.equal(await pushID.verify(signed, 'secret', {purpose: 'cID'}), null);
+    assert.equal(await pushID.verify(signed, 'secret'), null);
+    assert.equal(await pushID.verify(await pushID.sign(id, 'secret'), 'secret', {purpose: 'sID'}), null);
+    await assert.rejects(pushID.sign(id, 'secret', {purpose: 'a.b'}), /purpose/);
+});
+
+test('UUIDv7, ULID, Snowflake and binary conversions round-trip', () => {
+    const uuid = '01984592-3b2a-7c4d-8e5f-0123456789ab';
+    assert.equal(pushID.toUUIDv7(pushID.fromUUIDv7(uuid)), uuid);
+    const ulid = '01ARZ3NDEKTSV4RRFFQ69G5FAV';
+    assert.equal(pushID.toULID(pushID.fromULID(ulid)), ulid);
+    const snowflake = '175928847299117063';
+    const fromSnowflake = pushID.fromSnowflake(snowflake, {epoch: 1420070400000, stub: 'msg'});
+    assert.equal(pushID.decodeID(fromSnowflake).date.getTime(), 1462015105796);
+    assert.equal(pushID.fromSnowflake(snowflake, {epoch: 1420070400000, stub: 'msg'}), fromSnowflake);
+    const id = pushID.newID({stub: 'user'});
+    assert.equal(pushID.fromBytes(pushID.toBytes(id)).id, id);
+});
+
+test('conversions return null for times outside the epoch range', () => {
+    const ids = pushID.create({epoch: Date.UTC(2030, 0, 1)});
+    const id = pushID.newID({time: Date.UTC(2025, 0, 1)});
+    assert.equal(ids.fromUUIDv7(pushID.toUUIDv7(id)), null);
+    assert.equal(ids.fromULID(pushID.toULID(id)), null);
+    assert.equal(ids.fromSnowflake('175928847299117063', {epoch: 1420070400000}), null);
+    assert.equal(ids.fromBytes(pushID.toBytes(id)), null);
+});
+
+/**
+ * Runs `run` with `Date.now()` returning the times in `clock.now`.
+ */
+const withClock = (clock, run) => {
+    const realNow = Date.now;
+    Date.now = () => clock.now;
+    try {
+        return run();
+    } finally {
+        Date.now = realNow;
+    }
+};
+
+test('monotonic IDs borrow the next millisecond when the random part overflows', () => {
+    const ids = pushID.create({monotonic: true, rng: (bytes) => bytes.fill(255)});
+    const clock = {now: Date.UTC(2025, 0, 1)};
+    withClock(clock, () => {
+        const first = ids.newObj();
+        assert.equal(first.randomness, '~'.repeat(12));
+        const second = ids.newObj();
+        assert.equal(second.date.getTime(), clock.now + 1);
+        assert.ok(first.id < second.id);
+    });
+});
+
+test('monotonic IDs stay in order when the clock is set back', () => {
+    const ids = pushID.create({monotonic: true});
+    const clock = {now: Date.UTC(2025, 0, 1, 12)};
+    withClock(clock, () => {
+        const before = ids.newID();
+        clock.now -= 60 * 60 * 1000;
+        const after = [ids.newID(), ids.newID()];
+        assert.ok(before < after[0] && after[0] < after[1]);
+        assert.equal(ids.decodeID(after[1]).date.getTime(), Date.UTC(2025, 0, 1, 12));
+    });
+});
+
+test('monotonicMaxDrift restarts the sequence from a clock set back further', () => {
+    const ids = pushID.create({monotonic: true, monotonicMaxDrift: 1000});
+    const clock = {now: Date.UTC(2025, 0, 1, 12)};
+    withClock(clock, () => {
+        ids.newID();
+        clock.now -= 500;
+        assert.equal(ids.decodeID(ids.newID()).date.getTime(), Date.UTC(2025, 0, 1, 12));
+        clock.now -= 60 * 60 * 1000;
+        assert.equal(ids.decodeID(ids.newID()).date.getTime(), clock.now);
+    });
+    assert.throws(() => pushID.create({monotonicMaxDrift: -1}), /monotonicMaxDrift/);
+});
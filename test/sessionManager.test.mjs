@@ -0,0 +1,498 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {sessionManager} from '../public/js/sessionManager.js';
+import {memoryStore} from '../public/js/sessionStore.js';
+
+/**
+ * A synchronous in-memory storage handler.
+ */
+const memoryHandler = () => {
+    const values = {};
+    return {
+        values,
+        get: (key) => values[key] ?? null,
+        set: (key, value) => { values[key] = value === '' ? null : value; },
+        clear: () => { for (const key of Object.keys(values)) delete values[key]; },
+        config: {},
+    };
+};
+
+test('denied events are never linked, even with a fingerprint', () => {
+    const manager = sessionManager({consent: 'denied'});
+    const context = {fingerprint: '192.0.2.1|Mozilla/5.0'};
+    const first = manager.process({storageHandler: memoryHandler(), context});
+    const second = manager.process({storageHandler: memoryHandler(), context});
+    assert.notEqual(second.cID, first.cID);
+    assert.notEqual(second.sID, first.sID);
+    assert.equal(second.seqID, '1-1');
+});
+
+test('memory mode does not link pending server events by fingerprint', () => {
+    const manager = sessionManager({consent: 'pending'});
+    const context = {fingerprint: '192.0.2.1|Mozilla/5.0'};
+    const first = manager.process({storageHandler: memoryHandler(), context});
+    const second = manager.process({storageHandler: memoryHandler(), context});
+    assert.notEqual(second.sID, first.sID);
+});
+
+test('cookieless cIDs rotate every day', () => {
+    let now = Date.UTC(2025, 0, 1, 23, 0);
+    const manager = sessionManager({consent: 'pending', anonymousMode: 'cookieless', now: () => now});
+    const context = {fingerprint: '192.0.2.1|Mozilla/5.0'};
+    const first = manager.process({storageHandler: memoryHandler(), context});
+    assert.equal(manager.process({storageHandler: memoryHandler(), context}).cID, first.cID);
+    now += 2 * 60 * 60 * 1000;
+    assert.notEqual(manager.process({storageHandler: memoryHandler(), context}).cID, first.cID);
+});
+
+test('options.consent granted promotes the anonymous session', () => {
+    const manager = sessionManager({anonymousMode: 'cookieless'});
+    const storage = memoryHandler();
+    const context = {fingerprint: '192.0.2.1|Mozilla/5.0'};
+    const anonymous = manager.process({storageHandler: storage, context, consent: 'pending'});
+    assert.equal(storage.values.cID, undefined);
+    const promoted = manager.process({storageHandler: storage, context, consent: 'granted'});
+    assert.equal(promoted.cID, anonymous.cID);
+    assert.equal(promoted.sID, anonymous.sID);
+    assert.equal(promoted.seqID, '1-2');
+    assert.equal(promoted.changes.isNewClient, false);
+    assert.equal(storage.values.cID, anonymous.cID);
+});
+
+test('a signed sID copied into the cID key is rejected', async () => {
+    const manager = sessionManager({signingKey: 'secret'});
+    const storage = memoryHandler();
+    const first = await manager.process({storageHandler: storage});
+    storage.values.cID = storage.values.sID;
+    const second = await manager.process({storageHandler: storage});
+    assert.deepEqual(second.changes.rejectedKeys, ['cID']);
+    assert.notEqual(second.cID, first.sID);
+    assert.equal(second.changes.isNewClient, true);
+});
+
+test('the packed state round-trips through a single key', () => {
+    const manager = sessionManager({packed: true});
+    const storage = memoryHandler();
+    const first = manager.process({storageHandler: storage});
+    assert.deepEqual(Object.keys(storage.values), ['state']);
+    assert.match(storage.values.state, /^1!/);
+    const second = manager.process({storageHandler: storage});
+    assert.equal(second.cID, first.cID);
+    assert.equal(second.sID, first.sID);
+    assert.equal(second.seqID, '1-2');
+    assert.equal(second.changes.isNewSession, false);
+});
+
+test('the packed state marks an ended session with "-"', () => {
+    const manager = sessionManager({packed: true});
+    const storage = memoryHandler();
+    const first = manager.process({storageHandler: storage});
+    manager.endSession({storageHandler: storage});
+    assert.equal(storage.values.state.split('!')[2], '-');
+    const next = manager.process({storageHandler: storage});
+    assert.equal(next.cID, first.cID);
+    assert.notEqual(next.sID, first.sID);
+    assert.equal(next.changes.isNewSession, true);
+});
+
+test('a packed state with a wrong checksum is ignored', () => {
+    const manager = sessionManager({packed: true});
+    const storage = memoryHandler();
+    const first = manager.process({storageHandler: storage});
+    const fields = storage.values.state.split('!');
+    fields[4] = '1-9';
+    storage.values.state = fields.join('!');
+    const next = manager.process({storageHandler: storage});
+    assert.notEqual(next.cID, first.cID);
+    assert.equal(next.changes.isNewClient, true);
+});
+
+test('the four-key layout is migrated into the packed state', () => {
+    const storage = memoryHandler();
+    const first = sessionManager().process({storageHandler: storage});
+    const next = sessionManager({packed: true}).process({storageHandler: storage});
+    assert.equal(next.cID, first.cID);
+    assert.equal(next.sID, first.sID);
+    assert.equal(next.seqID, '1-2');
+    assert.ok(storage.values.state);
+    for (const key of ['cID', 'sID', 'eID', 'seqID']) assert.equal(storage.values[key], null);
+});
+
+const replayLog = [
+    {cID: 'legacy-42', time: '2026-03-01T10:05:00Z'},
+    {cID: 'legacy-42', time: '2026-03-01T10:00:00Z', url: 'https://example.com/?utm_source=mail'},
+    {cID: 'legacy-7', time: '2026-03-01T10:00:00Z'},
+    {cID: 'legacy-7', time: '2026-03-01T10:00:00Z'},
+    {cID: 'legacy-42', time: '2026-03-01T12:00:00Z'},
+    {cID: 'legacy-42', time: '2026-03-01T12:01:00Z', url: 'https://example.com/?utm_source=ads'},
+];
+
+test('replay assigns the same IDs on every run', () => {
+    const first = sessionManager.replay(replayLog, {breakOnCampaignChange: true});
+    const second = sessionManager.replay(replayLog, {breakOnCampaignChange: true});
+    assert.deepEqual(second, first);
+    assert.equal(new Set(first.events.map(event => event.eID)).size, replayLog.length);
+    // The input order is kept, and events at the same time still get distinct IDs
+    assert.equal(first.events[1].seqID, '1-1');
+    assert.equal(first.events[0].seqID, '1-2');
+    assert.deepEqual(first.events.slice(2, 4).map(event => event.seqID), ['1-1', '1-2']);
+});
+
+test('replay applies the session-break rules', () => {
+    const {events, sessions} = sessionManager.replay(replayLog, {breakOnCampaignChange: true});
+    assert.equal(events[4].seqID, '2-1');
+    assert.equal(events[4].sessionEndReason, 'timeout');
+    assert.equal(events[5].seqID, '3-1');
+    assert.equal(events[5].sessionEndReason, 'campaign');
+    assert.deepEqual(sessions.map(session => [session.cID, session.endReason]), [
+        ['legacy-42', 'timeout'],
+        // Ended by the time of the last event in the log
+        ['legacy-7', 'timeout'],
+        ['legacy-42', 'campaign'],
+        ['legacy-42', null],
+    ]);
+
+    const custom = sessionManager.replay([
+        {cID: 'c', time: '2026-03-01T10:00:00Z'},
+        {cID: 'c', time: '2026-03-01T10:01:00Z', url: 'https://example.com/logout'},
+    ], {breakRules: [(oldState, context) => context.url && context.url.endsWith('/logout') && 'logout']});
+    assert.equal(custom.events[1].isNewSession, true);
+    assert.equal(custom.events[1].sessionEndReason, 'logout');
+});
+
+/**
+ * A manager with an injected clock, which tests move with `clock.now`.
+ */
+const clocked = (config = {}) => {
+    const clock = {now: Date.UTC(2026, 0, 1, 10)};
+    return {clock, manager: sessionManager({now: () => clock.now, ...config})};
+};
+
+test('sessions end after the timeout and the maximum duration', () => {
+    const {clock, manager} = clocked({sessionTimeout: 60000, maxSessionDuration: 150000});
+    const storage = memoryHandler();
+    manager.process({storageHandler: storage});
+    clock.now += 59000;
+    assert.equal(manager.process({storageHandler: storage}).changes.isNewSession, false);
+    clock.now += 61000;
+    assert.equal(manager.process({storageHandler: storage}).changes.sessionEndReason, 'timeout');
+    for (let i = 0; i < 3; i++) {
+        clock.now += 50000;
+        manager.process({storageHandler: storage});
+    }
+    clock.now += 10000;
+    assert.equal(manager.process({storageHandler: storage}).changes.sessionEndReason, 'maxDuration');
+});
+
+test('sessions break at midnight in the configured time zone', () => {
+    const {clock, manager} = clocked({breakAtMidnight: true, timeZone: 'America/New_York'});
+    const storage = memoryHandler();
+    // Midnight in UTC is 19:00 in New York
+    clock.now = Date.UTC(2026, 0, 1, 23, 50);
+    manager.process({storageHandler: storage});
+    clock.now = Date.UTC(2026, 0, 2, 0, 10);
+    assert.equal(manager.process({storageHandler: storage}).changes.isNewSession, false);
+    // 23:50 and 00:10 in New York
+    clock.now = Date.UTC(2026, 0, 2, 4, 50);
+    manager.process({storageHandler: storage});
+    clock.now = Date.UTC(2026, 0, 2, 5, 10);
+    assert.equal(manager.process({storageHandler: storage}).changes.sessionEndReason, 'midnight');
+});
+
+test('campaign and referrer changes end the session, internal navigation does not', () => {
+    const {manager} = clocked({breakOnCampaignChange: true, breakOnReferrerChange: true});
+    const storage = memoryHandler();
+    const process = (context) => manager.process({storageHandler: storage, context}).changes;
+    process({url: 'https://example.com/?utm_source=mail'});
+    assert.equal(process({url: 'https://example.com/a', referrer: 'https://example.com/'}).isNewSession, false);
+    assert.equal(process({url: 'https://example.com/?utm_source=ads'}).sessionEndReason, 'campaign');
+    assert.equal(process({url: 'https://example.com/', referrer: 'https://news.example.org/'}).sessionEndReason, 'referrer');
+});
+
+test('custom break rules set the end reason, and a throwing rule is reported and skipped', () => {
+    const errors = [];
+    const {manager} = clocked({
+        breakRules: [
+            () => { throw new Error('Broken rule'); },
+            (oldState, context) => context.loggedOut && 'logout',
+        ],
+        onError: (error, {source}) => errors.push([error.message, source]),
+    });
+    const storage = memoryHandler();
+    manager.process({storageHandler: storage});
+    assert.equal(manager.process({storageHandler: storage}).changes.isNewSession, false);
+    const ended = manager.process({storageHandler: storage, context: {loggedOut: true}});
+    assert.equal(ended.changes.sessionEndReason, 'logout');
+    assert.equal(ended.changes.endedSession.endReason, 'logout');
+    assert.deepEqual(errors[0], ['Broken rule', 'breakRule']);
+    assert.equal(errors.length, 2);
+});
+
+test('hooks run in order with a summary of the ended session, and failures go to onError', () => {
+    const calls = [];
+    const errors = [];
+    const {clock, manager} = clocked({
+        sessionTimeout: 60000,
+        onSessionEnd: (summary, session) => calls.push(['end', summary.endReason, summary.eventCount, session.seqID]),
+        onNewClient: () => calls.push(['client']),
+        onSessionStart: (session) => calls.push(['start', session.seqID]),
+        onEvent: (session) => {
+            calls.push(['event', session.seqID]);
+            throw new Error('Broken hook');
+        },
+        onError: (error, {source}) => errors.push(source),
+    });
+    const storage = memoryHandler();
+    manager.process({storageHandler: storage});
+    clock.now += 30000;
+    manager.process({storageHandler: storage});
+    clock.now += 120000;
+    const session = manager.process({storageHandler: storage});
+    assert.deepEqual(calls, [
+        ['client'], ['start', '1-1'], ['event', '1-1'],
+        ['event', '1-2'],
+        ['end', 'timeout', 2, '2-1'], ['start', '2-1'], ['event', '2-1'],
+    ]);
+    assert.equal(session.changes.endedSession.duration, 30000);
+    assert.deepEqual(errors, ['onEvent', 'onEvent', 'onEvent']);
+});
+
+/**
+ * An asynchronous storage handler with batched reads and writes, which counts its calls.
+ */
+const asyncHandler = ({transaction = false} = {}) => {
+    const values = {};
+    const calls = {getAll: 0, setAll: 0, transaction: 0};
+    const handler = {
+        values,
+        calls,
+        getAll: async (keys) => {
+            calls.getAll++;
+            return Object.fromEntries(keys.map(key => [key, values[key] ?? null]));
+        },
+        setAll: async (entries) => {
+            calls.setAll++;
+            for (const key of Object.keys(entries)) values[key] = entries[key].value || null;
+        },
+        get: () => { throw new Error('get must not be called when getAll exists'); },
+        set: () => { throw new Error('set must not be called when setAll exists'); },
+        clear: async () => { for (const key of Object.keys(values)) delete values[key]; },
+        config: {},
+    };
+    if (transaction) {
+        handler.transaction = async (fn) => {
+            calls.transaction++;
+            return fn();
+        };
+    }
+    return handler;
+};
+
+test('asynchronous handlers are read and written in one batch each', async () => {
+    const manager = sessionManager();
+    const storage = asyncHandler();
+    const pending = manager.process({storageHandler: storage});
+    assert.ok(pending instanceof Promise);
+    const first = await pending;
+    const second = await manager.process({storageHandler: storage});
+    assert.equal(second.sID, first.sID);
+    assert.equal(second.seqID, '1-2');
+    assert.deepEqual(storage.calls, {getAll: 2, setAll: 2, transaction: 0});
+});
+
+test('a handler with a transaction runs each event inside it', async () => {
+    const storage = asyncHandler({transaction: true});
+    const session = await sessionManager().process({storageHandler: storage});
+    assert.equal(storage.values.cID, session.cID);
+    assert.equal(storage.calls.transaction, 1);
+});
+
+test('processAsync always returns a Promise', async () => {
+    const manager = sessionManager();
+    const storage = memoryHandler();
+    assert.equal(manager.process({storageHandler: storage}).seqID, '1-1');
+    const pending = manager.processAsync({storageHandler: storage});
+    assert.ok(pending instanceof Promise);
+    assert.equal((await pending).seqID, '1-2');
+});
+
+test('a login attaches the uID and reports an alias, a logout detaches it', () => {
+    const manager = sessionManager({identity: true, userSalt: 'salt', rotateSessionOnLogin: true});
+    const storage = memoryHandler();
+    const anonymous = manager.process({storageHandler: storage});
+    const login = manager.process({storageHandler: storage, userID: 42});
+    assert.equal(login.uID, manager.uIDFor(42));
+    assert.equal(login.changes.isLogin, true);
+    assert.equal(login.changes.sessionEndReason, 'login');
+    assert.notEqual(login.sID, anonymous.sID);
+    assert.deepEqual(login.changes.aliases.map(({uID, cID, previousUID}) => ({uID, cID, previousUID})),
+        [{uID: login.uID, cID: anonymous.cID, previousUID: null}]);
+
+    const next = manager.process({storageHandler: storage, userID: 42});
+    assert.equal(next.changes.isLogin, false);
+    assert.deepEqual(next.changes.aliases, []);
+    assert.equal(manager.process({storageHandler: storage}).uID, login.uID);
+
+    const logout = manager.process({storageHandler: storage, userID: null});
+    assert.equal(logout.uID, null);
+    assert.equal(logout.changes.isLogout, true);
+    assert.equal(storage.values.uID, null);
+});
+
+test('uIDs depend on the account key and the salt only', () => {
+    const a = sessionManager({identity: true, userSalt: 'salt'});
+    const b = sessionManager({identity: true, userSalt: 'salt'});
+    assert.equal(a.uIDFor('user-1'), b.uIDFor('user-1'));
+    assert.notEqual(a.uIDFor('user-1'), a.uIDFor('user-2'));
+    assert.notEqual(a.uIDFor('user-1'), sessionManager({identity: true, userSalt: 'other'}).uIDFor('user-1'));
+    assert.throws(() => a.uIDFor(''), /account key/);
+});
+
+test('an alias store only reports cIDs that are new to the user', async () => {
+    const manager = sessionManager({identity: true, userSalt: 'salt', aliasStore: memoryStore()});
+    const phone = memoryHandler();
+    const laptop = memoryHandler();
+    const first = await manager.process({storageHandler: phone, userID: 7});
+    assert.deepEqual(first.changes.aliases.map(alias => alias.aliasOf), [[]]);
+    const second = await manager.process({storageHandler: laptop, userID: 7});
+    assert.deepEqual(second.changes.aliases.map(alias => alias.aliasOf), [[first.cID]]);
+
+    await manager.process({storageHandler: phone, userID: null});
+    const again = await manager.process({storageHandler: phone, userID: 7});
+    assert.equal(again.changes.isLogin, true);
+    assert.deepEqual(again.changes.aliases, []);
+});
+
+test('a failing alias store is reported and every link is kept', async () => {
+    const errors = [];
+    const broken = {...memoryStore(), get: async () => { throw new Error('Store down'); }};
+    const manager = sessionManager({
+        identity: true, userSalt: 'salt', aliasStore: broken,
+        onError: (error, {source}) => errors.push(source),
+    });
+    const session = await manager.process({storageHandler: memoryHandler(), userID: 7});
+    assert.equal(session.changes.aliases.length, 1);
+    assert.deepEqual(errors, ['aliasStore']);
+});
+
+test('peek reads the state without writing or counting an event', () => {
+    const {clock, manager} = clocked({sessionTimeout: 60000});
+    const storage = memoryHandler();
+    const session = manager.process({storageHandler: storage});
+    const before = {...storage.values};
+    const peeked = manager.peek({storageHandler: storage});
+    assert.deepEqual(storage.values, before);
+    assert.equal(peeked.sID, session.sID);
+    assert.equal(peeked.seqID, '1-1');
+    assert.equal(peeked.isActive, true);
+    assert.equal(peeked.expiresAt.getTime(), clock.now + 60000);
+
+    clock.now += 61000;
+    const expired = manager.peek({storageHandler: storage});
+    assert.equal(expired.isActive, false);
+    assert.equal(expired.sessionEndReason, 'timeout');
+});
+
+test('touch extends the session without counting an event, and never revives one', () => {
+    const {clock, manager} = clocked({sessionTimeout: 60000});
+    const storage = memoryHandler();
+    const session = manager.process({storageHandler: storage});
+    clock.now += 50000;
+    const touched = manager.touch({storageHandler: storage});
+    assert.notEqual(touched.eID, session.eID);
+    assert.equal(touched.seqID, '1-1');
+    clock.now += 50000;
+    const next = manager.process({storageHandler: storage});
+    assert.equal(next.sID, session.sID);
+    assert.equal(next.seqID, '1-2');
+
+    clock.now += 61000;
+    assert.equal(manager.touch({storageHandler: storage}), null);
+    assert.equal(manager.process({storageHandler: storage}).changes.sessionEndReason, 'timeout');
+});
+
+test('endSession ends the session with a reason and the next event starts the next one', () => {
+    const ended = [];
+    const {manager} = clocked({onSessionEnd: (summary, session) => ended.push([summary.endReason, session])});
+    const storage = memoryHandler();
+    const session = manager.process({storageHandler: storage});
+    const summary = manager.endSession({storageHandler: storage, reason: 'logout'});
+    assert.equal(summary.sID, session.sID);
+    assert.equal(summary.endReason, 'logout');
+    assert.deepEqual(ended, [['logout', null]]);
+    assert.equal(manager.endSession({storageHandler: storage}), null);
+
+    const next = manager.process({storageHandler: storage});
+    assert.equal(next.cID, session.cID);
+    assert.equal(next.seqID, '2-1');
+    assert.equal(next.changes.isNewSession, true);
+    assert.equal(next.changes.endedSession, null);
+    assert.equal(ended.length, 1);
+});
+
+test('rotateClient replaces the cID, ends the session and detaches the uID', () => {
+    const newClients = [];
+    const {manager} = clocked({identity: true, userSalt: 'salt', onNewClient: (session) => newClients.push(session.cID)});
+    const storage = memoryHandler();
+    const session = manager.process({storageHandler: storage, userID: 42});
+    const {cID, previousCID, endedSession} = manager.rotateClient({storageHandler: storage});
+    assert.notEqual(cID, session.cID);
+    assert.equal(previousCID, session.cID);
+    assert.equal(endedSession.endReason, 'clientRotated');
+    assert.equal(storage.values.uID, null);
+    assert.deepEqual(newClients, [session.cID]);
+
+    const next = manager.process({storageHandler: storage});
+    assert.equal(next.cID, cID);
+    assert.equal(next.uID, null);
+    assert.equal(next.seqID, '1-1');
+});
+
+test('syncClock learns the server offset and uses it for new IDs', () => {
+    const {clock, manager} = clocked();
+    assert.equal(manager.syncClock(clock.now - 3600000), -3600000);
+    const session = manager.process({storageHandler: memoryHandler()});
+    assert.equal(session.eventTime.getTime(), clock.now - 3600000);
+
+    // HTTP dates have a precision of one second
+    const headers = new Headers({Date: new Date(clock.now + 500).toUTCString()});
+    assert.equal(manager.syncClock(headers), 0);
+    const response = new Response(null, {headers: {Date: new Date(clock.now + 120000).toUTCString()}});
+    assert.equal(manager.syncClock(response), 120000);
+    assert.equal(manager.syncClock('not a date'), 120000);
+});
+
+test('futureIDPolicy decides what happens to IDs from a clock that was ahead', () => {
+    const storedAhead = () => {
+        const {clock, manager} = clocked();
+        const storage = memoryHandler();
+        clock.now += 3600000;
+        const session = manager.process({storageHandler: storage});
+        return {storage, session};
+    };
+    const process = (futureIDPolicy, storage) => clocked({futureIDPolicy}).manager.process({storageHandler: storage});
+
+    const clamped = storedAhead();
+    const clamp = process('clamp', clamped.storage);
+    assert.equal(clamp.sID, clamped.session.sID);
+    assert.deepEqual(clamp.changes.futureKeys, ['cID', 'sID', 'eID']);
+
+    const rejected = storedAhead();
+    const reject = process('reject', rejected.storage);
+    assert.notEqual(reject.cID, rejected.session.cID);
+    assert.equal(reject.changes.isNewClient, true);
+
+    const broken = storedAhead();
+    const newSession = process('newSession', broken.storage);
+    assert.equal(newSession.cID, broken.session.cID);
+    assert.equal(newSession.changes.sessionEndReason, 'futureTime');
+});
+
+test('a seed derives the same IDs at the same time', () => {
+    const run = () => clocked().manager.process({storageHandler: memoryHandler(), seed: {order: 1}});
+    const first = run();
+    const second = run();
+    assert.deepEqual([second.cID, second.sID, second.eID], [first.cID, first.sID, first.eID]);
+    const other = clocked().manager.process({storageHandler: memoryHandler(), seed: {order: 2}});
+    assert.notEqual(other.eID, first.eID);
+});
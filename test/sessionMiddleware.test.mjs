@@ -0,0 +1,68 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {withSession} from '../src/sessionMiddleware.mjs';
+
+const ctx = {waitUntil: () => {}};
+
+/**
+ * Wraps a handler that records the session of each request.
+ */
+const recorder = (options) => {
+    const sessions = [];
+    const fetch = withSession((request, env, context, session) => {
+        sessions.push(session);
+        return new Response('ok');
+    }, options);
+    return {sessions, fetch};
+};
+
+test('requests without fingerprint headers never share an anonymous session', async () => {
+    const {sessions, fetch} = recorder({sessionConfig: {anonymousMode: 'cookieless'}, consent: 'pending'});
+    await fetch(new Request('https://example.com/'), {}, ctx);
+    await fetch(new Request('https://example.com/'), {}, ctx);
+    assert.notEqual(sessions[0].cID, sessions[1].cID);
+    assert.equal(sessions[1].seqID, '1-1');
+});
+
+test('cookieless requests from the same client continue one session until consent is denied', async () => {
+    const {sessions, fetch} = recorder({
+        sessionConfig: {anonymousMode: 'cookieless'},
+        consent: (request) => request.headers.get('X-Consent'),
+    });
+    const headers = (consent) => ({'User-Agent': 'Mozilla/5.0', 'CF-Connecting-IP': '192.0.2.1', 'X-Consent': consent});
+    await fetch(new Request('https://example.com/', {headers: headers('pending')}), {}, ctx);
+    await fetch(new Request('https://example.com/', {headers: headers('pending')}), {}, ctx);
+    assert.equal(sessions[1].sID, sessions[0].sID);
+    assert.equal(sessions[1].seqID, '1-2');
+
+    await fetch(new Request('https://example.com/', {headers: headers('denied')}), {}, ctx);
+    await fetch(new Request('https://example.com/', {headers: headers('denied')}), {}, ctx);
+    assert.notEqual(sessions[3].cID, sessions[2].cID);
+    assert.equal(sessions[3].seqID, '1-1');
+});
+
+test('granting consent per request promotes the anonymous session into cookies', async () => {
+    const {sessions, fetch} = recorder({
+        sessionConfig: {anonymousMode: 'cookieless'},
+        consent: (request) => request.headers.get('X-Consent'),
+    });
+    const headers = (consent) => ({'User-Agent': 'Mozilla/5.0', 'CF-Connecting-IP': '192.0.2.1', 'X-Consent': consent});
+    await fetch(new Request('https://example.com/', {headers: headers('pending')}), {}, ctx);
+    const response = await fetch(new Request('https://example.com/', {headers: headers('granted')}), {}, ctx);
+    assert.equal(sessions[1].cID, sessions[0].cID);
+    assert.equal(sessions[1].sID, sessions[0].sID);
+    assert.equal(sessions[1].seqID, '1-2');
+    assert.equal(sessions[1].changes.isNewClient, false);
+    assert.ok(response.headers.getSetCookie().some(cookie => cookie.startsWith(`__pshS_cID=${sessions[0].cID}`)));
+});
+
+test('session failures are reported through onError and the request is still served', async () => {
+    const errors = [];
+    const fetch = withSession(() => new Response('ok'), {
+        manager: {process: () => { throw new Error('store down'); }},
+        onError: (error, {source}) => errors.push([error.message, source]),
+    });
+    const response = await fetch(new Request('https://example.com/'), {}, ctx);
+    assert.equal(await response.text(), 'ok');
+    assert.deepEqual(errors, [['store down', 'session']]);
+});
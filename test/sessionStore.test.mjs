@@ -0,0 +1,51 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {sessionManager} from '../public/js/sessionManager.js';
+import {serverStorage} from '../public/js/serverSession.js';
+import {memoryStore, storeStorage} from '../public/js/sessionStore.js';
+import {withSession} from '../src/sessionMiddleware.mjs';
+
+const request = (cookie) => new Request('https://example.com/', {headers: cookie ? {Cookie: cookie} : {}});
+
+test('storeStorage keeps the session in the store and only the cID in the cookie', async () => {
+    const store = memoryStore();
+    const cookies = serverStorage({request: request()});
+    const session = await sessionManager().processAsync({storageHandler: storeStorage({cookies, store})});
+    const names = cookies.getSetCookieHeaders().map(header => header.split('=')[0]);
+    assert.deepEqual(names, ['__pshS_cID']);
+    assert.equal((await store.get(session.cID)).sID, session.sID);
+});
+
+test('storeStorage rejects the packed layout with a clear error', async () => {
+    const cookies = serverStorage({request: request()});
+    const storage = storeStorage({cookies, store: memoryStore()});
+    await assert.rejects(
+        sessionManager({packed: true}).processAsync({storageHandler: storage}),
+        /cannot be used with the packed layout/,
+    );
+});
+
+test('withSession refuses a store with a packed manager', () => {
+    assert.throws(
+        () => withSession(() => new Response('ok'), {sessionConfig: {packed: true}, store: memoryStore()}),
+        /packed layout/,
+    );
+});
+
+test('rotateClient starts a fresh record and deletes the replaced one', async () => {
+    const store = memoryStore();
+    const manager = sessionManager();
+    const first = serverStorage({request: request()});
+    const session = await manager.processAsync({storageHandler: storeStorage({cookies: first, store})});
+    const record = await store.get(session.cID);
+    await store.put(session.cID, {...record, createdAt: 1}, {ttl: 60});
+
+    const cookie = first.getSetCookieHeaders()[0].split(';')[0];
+    const storage = storeStorage({cookies: serverStorage({request: request(cookie)}), store});
+    const {cID, previousCID} = await manager.rotateClient({storageHandler: storage});
+    assert.equal(previousCID, session.cID);
+    assert.equal(await store.get(session.cID), null);
+    const rotated = await store.get(cID);
+    assert.ok(rotated.createdAt > 1);
+    assert.ok(!rotated.sID);
+});
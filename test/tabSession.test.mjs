@@ -0,0 +1,64 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {tabCoordinator} from '../public/js/tabSession.js';
+
+const memoryHandler = () => {
+    const values = {};
+    return {get: (key) => values[key] ?? null, set: (key, value) => { values[key] = value; }, clear: () => {}, config: {}};
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Installs a fake Web Locks API for the duration of a test.
+ */
+const withLocks = async (locks, run) => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {value: {locks}, configurable: true, writable: true});
+    try {
+        await run();
+    } finally {
+        if (descriptor) Object.defineProperty(globalThis, 'navigator', descriptor);
+        else delete globalThis.navigator;
+    }
+};
+
+test('a transaction that fails after the lock timeout runs only once', async () => {
+    const locks = {request: (name, options, callback) => Promise.resolve().then(callback)};
+    await withLocks(locks, async () => {
+        const storage = tabCoordinator(memoryHandler(), {lockTimeout: 50});
+        let runs = 0;
+        try {
+            await assert.rejects(storage.transaction(async () => {
+                runs++;
+                await sleep(100);
+                throw new Error('write failed');
+            }), /write failed/);
+            assert.equal(runs, 1);
+        } finally {
+            storage.close();
+        }
+    });
+});
+
+test('a transaction runs without the lock if the lock is not granted in time', async () => {
+    const locks = {
+        request: (name, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(options.signal.reason));
+        }),
+    };
+    await withLocks(locks, async () => {
+        const storage = tabCoordinator(memoryHandler(), {lockTimeout: 50});
+        let runs = 0;
+        try {
+            const result = await storage.transaction(async () => {
+                runs++;
+                return 'done';
+            });
+            assert.equal(result, 'done');
+            assert.equal(runs, 1);
+        } finally {
+            storage.close();
+        }
+    });
+});